@@ -1,8 +1,53 @@
 import { defineBackend } from '@aws-amplify/backend';
+import { PolicyStatement } from 'aws-cdk-lib/aws-iam';
 import { auth } from './auth/resource.js';
 import { data } from './data/resource.js';
+import { bulkUpdateTodos } from './functions/bulk-update-todos/resource.js';
+import { completeTodo } from './functions/complete-todo/resource.js';
+import { createSubtasks } from './functions/create-subtasks/resource.js';
+import { todoStats } from './functions/todo-stats/resource.js';
 
-defineBackend({
+// The functions are resolvers that read and write the model tables directly, so their
+// resources set resourceGroupName: 'data' to keep them in the data stack; in a stack of
+// their own they'd create a circular dependency with it.
+const backend = defineBackend({
   auth,
   data,
+  bulkUpdateTodos,
+  completeTodo,
+  createSubtasks,
+  todoStats,
 });
+
+// Let the bulk mutation write to the tables it touches
+const tables = backend.data.resources.tables;
+const bulkUpdateLambda = backend.bulkUpdateTodos.resources.lambda;
+tables['Todo'].grantReadWriteData(bulkUpdateLambda);
+tables['Subtask'].grantReadWriteData(bulkUpdateLambda);
+tables['TodoTag'].grantReadWriteData(bulkUpdateLambda);
+tables['PurgedTodo'].grantWriteData(bulkUpdateLambda);
+backend.bulkUpdateTodos.addEnvironment('TODO_TABLE_NAME', tables['Todo'].tableName);
+backend.bulkUpdateTodos.addEnvironment('SUBTASK_TABLE_NAME', tables['Subtask'].tableName);
+backend.bulkUpdateTodos.addEnvironment('TODO_TAG_TABLE_NAME', tables['TodoTag'].tableName);
+backend.bulkUpdateTodos.addEnvironment('PURGED_TODO_TABLE_NAME', tables['PurgedTodo'].tableName);
+
+// Let completeTodo update todos and create the next occurrence of recurring ones
+const completeTodoLambda = backend.completeTodo.resources.lambda;
+tables['Todo'].grantReadWriteData(completeTodoLambda);
+backend.completeTodo.addEnvironment('TODO_TABLE_NAME', tables['Todo'].tableName);
+
+// Let createSubtasks check the todo and add its steps
+const createSubtasksLambda = backend.createSubtasks.resources.lambda;
+tables['Todo'].grantReadData(createSubtasksLambda);
+tables['Subtask'].grantWriteData(createSubtasksLambda);
+backend.createSubtasks.addEnvironment('TODO_TABLE_NAME', tables['Todo'].tableName);
+backend.createSubtasks.addEnvironment('SUBTASK_TABLE_NAME', tables['Subtask'].tableName);
+
+// Let todoStats read todos through the owner index; the table grant doesn't cover its indexes
+const todoStatsLambda = backend.todoStats.resources.lambda;
+tables['Todo'].grantReadData(todoStatsLambda);
+todoStatsLambda.addToRolePolicy(new PolicyStatement({
+  actions: ['dynamodb:Query'],
+  resources: [`${tables['Todo'].tableArn}/index/byOwner`],
+}));
+backend.todoStats.addEnvironment('TODO_TABLE_NAME', tables['Todo'].tableName);
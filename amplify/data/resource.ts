@@ -1,24 +1,293 @@
 import { a, defineData, type ClientSchema } from "@aws-amplify/backend";
+import { bulkUpdateTodos } from "../functions/bulk-update-todos/resource";
+import { completeTodo } from "../functions/complete-todo/resource";
+import { createSubtasks } from "../functions/create-subtasks/resource";
+import { todoStats } from "../functions/todo-stats/resource";
 
 /**
  * Define the data schema for the application
  * @see https://docs.amplify.aws/gen2/build-a-backend/data/
  */
 const schema = a.schema({
+  // A named list that groups related todos
+  Project: a
+    .model({
+      name: a.string().required(),
+      todos: a.hasMany('Todo', 'projectId'),
+      createdAt: a.datetime(),
+      updatedAt: a.datetime(),
+    })
+    .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
+
   Todo: a
     .model({
+      // One-line title; may contain inline Markdown
       content: a.string().required(),
+      // Long-form Markdown details
+      notes: a.string(),
+      // Kept in step with status (done <=> completed) for older clients and scripts
+      completed: a.boolean().default(false),
+      // Board column; GraphQL enum values can't contain hyphens, hence in_progress
+      status: a.enum(['backlog', 'todo', 'in_progress', 'blocked', 'done']),
+      dueAt: a.datetime(),
+      priority: a.enum(['low', 'medium', 'high', 'urgent']),
+      remindAt: a.datetime(),
+      // Fractional index for hand ordering; a move only rewrites the moved todo
+      position: a.float(),
+      // Set when the todo is moved to the trash; purged after the retention period
+      deletedAt: a.datetime(),
+      // RRULE-style repeat rule, e.g. FREQ=WEEKLY;BYDAY=MO,WE (see utils/recurrence.ts)
+      recurrence: a.string(),
+      projectId: a.id(),
+      project: a.belongsTo('Project', 'projectId'),
+      subtasks: a.hasMany('Subtask', 'todoId'),
+      tags: a.hasMany('TodoTag', 'todoId'),
+      // Set by the owner rule; declared so it can be indexed. Owners can't rewrite it to
+      // hand the todo to someone else or drop it from the index
+      owner: a.string().authorization((allow) => [allow.owner().to(['read', 'delete'])]),
+      createdAt: a.datetime(),
+      updatedAt: a.datetime(),
+    })
+    // Lets todoStats read one user's todos without scanning everyone's
+    .secondaryIndexes((index) => [index('owner').name('byOwner')])
+    .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
+
+  // A checklist step under a todo, ordered by position
+  Subtask: a
+    .model({
+      title: a.string().required(),
       completed: a.boolean().default(false),
+      position: a.integer().required(),
+      todoId: a.id().required(),
+      todo: a.belongsTo('Todo', 'todoId'),
       createdAt: a.datetime(),
       updatedAt: a.datetime(),
     })
     .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
 
-  // Define AI Kit for chat functionality
+  // A label that can be attached to many todos
+  Tag: a
+    .model({
+      name: a.string().required(),
+      todos: a.hasMany('TodoTag', 'tagId'),
+    })
+    .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
+
+  // Join model linking todos and tags
+  TodoTag: a
+    .model({
+      todoId: a.id().required(),
+      tagId: a.id().required(),
+      todo: a.belongsTo('Todo', 'todoId'),
+      tag: a.belongsTo('Tag', 'tagId'),
+    })
+    .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
+
+  // A todo deleted for good, recorded so syncing another environment deletes its copy
+  // there instead of bringing it back (see scripts/purged-todos.js)
+  PurgedTodo: a
+    .model({
+      todoId: a.id().required(),
+      purgedAt: a.datetime().required(),
+    })
+    .identifier(['todoId'])
+    .authorization((allow) => [allow.owner(), allow.publicApiKey().to(['read', 'create'])]),
+
+  BulkTodoAction: a.enum(['complete', 'uncomplete', 'move', 'trash', 'restore', 'delete']),
+
+  // Apply one change to many todos in a single request, returning their ids.
+  // A permanent delete also takes the ids of the todos' subtasks and tag links,
+  // and records each todo as a PurgedTodo.
+  // All or nothing, so it's limited to 100 records; see utils/bulkActions.ts.
+  bulkUpdateTodos: a
+    .mutation()
+    .arguments({
+      action: a.ref('BulkTodoAction').required(),
+      todoIds: a.id().required().array().required(),
+      projectId: a.id(),
+      subtaskIds: a.id().required().array(),
+      todoTagIds: a.id().required().array(),
+    })
+    .returns(a.id().array())
+    .authorization((allow) => [allow.authenticated()])
+    .handler(a.handler.function(bulkUpdateTodos)),
+
+  // Complete or reopen a todo, returning the next occurrence when a recurring todo is completed
+  completeTodo: a
+    .mutation()
+    .arguments({
+      id: a.id().required(),
+      completed: a.boolean().required(),
+      // IANA time zone the next occurrence's day is worked out in, e.g. Europe/London
+      timeZone: a.string(),
+    })
+    .returns(a.ref('Todo'))
+    .authorization((allow) => [allow.authenticated()])
+    .handler(a.handler.function(completeTodo)),
+
+  // Add steps to a todo, all or none, returning the new subtasks
+  createSubtasks: a
+    .mutation()
+    .arguments({
+      todoId: a.id().required(),
+      titles: a.string().required().array().required(),
+      // Position of the first new step; the rest follow in order
+      firstPosition: a.integer().required(),
+    })
+    .returns(a.ref('Subtask').array())
+    .authorization((allow) => [allow.authenticated()])
+    .handler(a.handler.function(createSubtasks)),
+
+  // Todos created and completed in one day or week, keyed by its first day (YYYY-MM-DD)
+  TodoActivity: a.customType({
+    date: a.string().required(),
+    created: a.integer().required(),
+    completed: a.integer().required(),
+  }),
+
+  // Productivity statistics shown on the dashboard (see utils/todoStats.ts)
+  TodoStats: a.customType({
+    days: a.ref('TodoActivity').required().array().required(),
+    weeks: a.ref('TodoActivity').required().array().required(),
+    averageHoursToComplete: a.float(),
+    currentStreak: a.integer().required(),
+    longestStreak: a.integer().required(),
+    overdueCount: a.integer().required(),
+    openCount: a.integer().required(),
+    completedCount: a.integer().required(),
+  }),
+
+  // Work out the caller's statistics server-side, so the dashboard doesn't have to list every todo
+  todoStats: a
+    .query()
+    .arguments({
+      // How many days up to today to chart
+      days: a.integer(),
+      // IANA time zone the days are counted in, e.g. Europe/London
+      timeZone: a.string(),
+    })
+    .returns(a.ref('TodoStats'))
+    .authorization((allow) => [allow.authenticated()])
+    .handler(a.handler.function(todoStats)),
+
+  // A todo worked out from a line of free text by parseTodo
+  ParsedTodo: a.customType({
+    content: a.string().required(),
+    dueAt: a.datetime(),
+    priority: a.enum(['low', 'medium', 'high', 'urgent']),
+    tags: a.string().required().array(),
+  }),
+
+  // Turn quick-add text like "Call vendor next Tuesday 3pm high priority #ops" into todo fields
+  parseTodo: a
+    .generation({
+      aiModel: a.ai.model("Claude 3.5 Haiku"),
+      systemPrompt: [
+        "You turn one line a user typed into a todo app into the fields of a todo.",
+        "content is what needs doing, with the date, time, priority and tags taken out, keeping the user's wording and any Markdown.",
+        "dueAt is set only if the text gives a date or time: work it out from now and give it in ISO 8601 with timeZone's offset;",
+        "a date without a time is due at 09:00, and a time without a date is the next time it comes round.",
+        "priority is set only if the text asks for one: low, medium, high or urgent (e.g. \"asap\" is urgent, \"p1\" is high).",
+        "tags are the words written as #tag, without the #, lowercased.",
+      ].join(" "),
+      inferenceConfiguration: {
+        temperature: 0,
+      },
+    })
+    .arguments({
+      text: a.string().required(),
+      // The user's current time and IANA time zone, for relative dates like "next Tuesday"
+      now: a.datetime().required(),
+      timeZone: a.string(),
+    })
+    .returns(a.ref('ParsedTodo'))
+    .authorization((allow) => allow.authenticated()),
+
+  // Steps proposed for a todo by breakDownTodo
+  TodoBreakdown: a.customType({
+    subtasks: a.string().required().array().required(),
+  }),
+
+  // Propose concrete steps for a todo, which the user picks from before they're added as subtasks
+  breakDownTodo: a
+    .generation({
+      aiModel: a.ai.model("Claude 3.5 Haiku"),
+      systemPrompt: [
+        "You break a todo down into the concrete steps it takes to get it done, in the order they'd be done.",
+        "Give 3 to 8 steps, each a short imperative action of under 80 characters, such as \"Email the vendor for a quote\".",
+        "Use the notes for context, and leave out any step the todo already has.",
+      ].join(" "),
+    })
+    .arguments({
+      content: a.string().required(),
+      notes: a.string(),
+      // Titles of the steps the todo already has
+      existingSubtasks: a.string().required().array(),
+    })
+    .returns(a.ref('TodoBreakdown'))
+    .authorization((allow) => allow.authenticated()),
+
+  // One todo in a day's plan; todoId is missing for suggestions that aren't an existing todo
+  PlannedTodo: a.customType({
+    todoId: a.id(),
+    content: a.string().required(),
+    priority: a.enum(['low', 'medium', 'high', 'urgent']),
+    estimateMinutes: a.integer(),
+    reason: a.string(),
+  }),
+
+  // A short plan for the day made by planDay
+  DailyPlan: a.customType({
+    summary: a.string().required(),
+    items: a.ref('PlannedTodo').required().array().required(),
+  }),
+
+  // Summarize the user's open, overdue and recently completed todos into a plan for the day
+  planDay: a
+    .generation({
+      aiModel: a.ai.model("Claude 3.5 Haiku"),
+      systemPrompt: [
+        "You plan a user's day from their todo list.",
+        "todos has the open, overdue and recently completed todos, with ids, due dates and priorities; date is today in timeZone.",
+        "summary is two or three sentences on where things stand: what was finished, what is overdue and what matters most today.",
+        "items is what to work on today, most important first, no more than about six hours of work in total.",
+        "Use existing todos and their ids, suggest a priority and an estimate in minutes for each, and give a short reason.",
+        "Overdue and soon-due todos come first unless something else is clearly more urgent.",
+      ].join(" "),
+    })
+    .arguments({
+      // Today as YYYY-MM-DD in the user's time zone
+      date: a.date().required(),
+      timeZone: a.string(),
+      // The todos to plan from, as grouped by utils/dailyDigest.ts
+      todos: a.json().required(),
+    })
+    .returns(a.ref('DailyPlan'))
+    .authorization((allow) => allow.authenticated()),
+
+  // The day's plan, kept so it's only made once a day unless the user asks again
+  DailyDigest: a
+    .model({
+      // YYYY-MM-DD in the user's time zone
+      date: a.date().required(),
+      plan: a.ref('DailyPlan').required(),
+      createdAt: a.datetime(),
+      updatedAt: a.datetime(),
+    })
+    .authorization((allow) => [allow.owner()]),
+
+  // Define AI Kit for chat functionality. The todo tools are client tools, sent with each
+  // message and run in the browser as the signed-in user (see utils/chatTools.ts and app/runChatTools.ts)
   chat: a
     .conversation({
       aiModel: a.ai.model("Claude 3.5 Sonnet"),
-      systemPrompt: "You are a helpful AI assistant.",
+      systemPrompt: [
+        "You are a helpful assistant for a todo app, talking to one signed-in user about their own todos.",
+        "Use the tools to look up, create, complete and reschedule todos rather than guessing what the user has.",
+        "Find a todo with listTodos or searchTodos before changing it, and use the id they return.",
+        "Completing and rescheduling wait for the user to confirm; if they cancel, don't try again unless asked.",
+        "Each message comes with the current time and the user's time zone; give tools ISO 8601 dates with that zone's offset.",
+      ].join(" "),
     })
     .authorization((allow) => allow.owner()),
 });
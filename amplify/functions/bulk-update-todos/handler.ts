@@ -0,0 +1,102 @@
+import type { Schema } from '../../data/resource';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { getOwnerValues } from '../owner';
+import { MAX_BULK_ITEMS } from '../../../utils/bulkActions';
+
+type TransactItem = NonNullable<ConstructorParameters<typeof TransactWriteCommand>[0]['TransactItems']>[number];
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient());
+
+/**
+ * Apply one change to many todos in a single request.
+ *
+ * The writes go in one transaction, each conditional on the caller owning the
+ * record, so a batch that touches someone else's todo is rejected as a whole.
+ * A batch too big for one transaction is refused; the app splits large
+ * selections with chunkBulkTodos.
+ */
+export const handler: Schema['bulkUpdateTodos']['functionHandler'] = async (event) => {
+  const { action, todoIds, projectId, subtaskIds, todoTagIds } = event.arguments;
+  const [owner, username] = getOwnerValues(event.identity);
+  const ownerValues = { ':owner': owner, ':username': username };
+  const ownerCondition = {
+    ConditionExpression: '#owner IN (:owner, :username)',
+    ExpressionAttributeNames: { '#owner': 'owner' } as Record<string, string>,
+  };
+  const updatedAt = new Date().toISOString();
+
+  const deleteItem = (tableName: string | undefined, id: string): TransactItem => ({
+    Delete: {
+      TableName: tableName,
+      Key: { id },
+      ...ownerCondition,
+      ExpressionAttributeValues: ownerValues,
+    },
+  });
+
+  // Keeps a record of a todo deleted for good, for the sync scripts
+  const purgeRecord = (todoId: string): TransactItem => ({
+    Put: {
+      TableName: process.env.PURGED_TODO_TABLE_NAME,
+      Item: { todoId, purgedAt: updatedAt, owner, __typename: 'PurgedTodo', createdAt: updatedAt, updatedAt },
+    },
+  });
+
+  const updateItem = (id: string, fields: Record<string, boolean | string | null>): TransactItem => {
+    const names = Object.keys(fields);
+    return {
+      Update: {
+        TableName: process.env.TODO_TABLE_NAME,
+        Key: { id },
+        UpdateExpression: `SET ${names.map((_, i) => `#f${i} = :v${i}`).join(', ')}, updatedAt = :updatedAt`,
+        ...ownerCondition,
+        ExpressionAttributeNames: {
+          ...ownerCondition.ExpressionAttributeNames,
+          ...Object.fromEntries(names.map((name, i) => [`#f${i}`, name])),
+        },
+        ExpressionAttributeValues: {
+          ...ownerValues,
+          ...Object.fromEntries(names.map((name, i) => [`:v${i}`, fields[name]])),
+          ':updatedAt': updatedAt,
+        },
+      },
+    };
+  };
+
+  let items: TransactItem[];
+  switch (action) {
+    case 'complete':
+    case 'uncomplete':
+      // Status follows completion, as it does in the app
+      items = todoIds.map(id => updateItem(id, action === 'complete'
+        ? { completed: true, status: 'done' }
+        : { completed: false, status: 'todo' }));
+      break;
+    case 'move':
+      items = todoIds.map(id => updateItem(id, { projectId: projectId ?? null }));
+      break;
+    case 'trash':
+    case 'restore':
+      items = todoIds.map(id => updateItem(id, { deletedAt: action === 'trash' ? updatedAt : null }));
+      break;
+    case 'delete':
+      // Children go first so a failed batch never leaves them orphaned
+      items = [
+        ...(subtaskIds ?? []).map(id => deleteItem(process.env.SUBTASK_TABLE_NAME, id)),
+        ...(todoTagIds ?? []).map(id => deleteItem(process.env.TODO_TAG_TABLE_NAME, id)),
+        ...todoIds.map(id => deleteItem(process.env.TODO_TABLE_NAME, id)),
+        ...todoIds.map(purgeRecord),
+      ];
+      break;
+    default:
+      throw new Error(`Unknown bulk action: ${action}`);
+  }
+
+  if (items.length > MAX_BULK_ITEMS) {
+    throw new Error(`A bulk update can write at most ${MAX_BULK_ITEMS} records, but this one needs ${items.length}`);
+  }
+  await docClient.send(new TransactWriteCommand({ TransactItems: items }));
+
+  return todoIds;
+};
@@ -0,0 +1,10 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Resolver for the bulkUpdateTodos mutation, grouped with the data stack (see backend.ts)
+ */
+export const bulkUpdateTodos = defineFunction({
+  name: 'bulk-update-todos',
+  entry: './handler.ts',
+  resourceGroupName: 'data',
+});
@@ -0,0 +1,89 @@
+import type { Schema } from '../../data/resource';
+import { randomUUID } from 'crypto';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, TransactWriteCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { getNextSchedule } from '../../../utils/recurrence';
+import { getOwnerValues } from '../owner';
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient());
+
+/**
+ * Mark a todo complete or not. Completing a recurring todo also creates its
+ * next occurrence, which is returned; otherwise the result is null.
+ *
+ * The rule moves to the new todo in the same transaction, so completing the
+ * old one again (or a retried request) can't create a second copy. Steps and
+ * tags stay with the completed todo.
+ */
+export const handler: Schema['completeTodo']['functionHandler'] = async (event) => {
+  const { id, completed } = event.arguments;
+  const timeZone = event.arguments.timeZone ?? 'UTC';
+  const ownerValues = getOwnerValues(event.identity);
+  const tableName = process.env.TODO_TABLE_NAME;
+  const now = new Date();
+  const updatedAt = now.toISOString();
+
+  const { Item: todo } = await docClient.send(new GetCommand({ TableName: tableName, Key: { id } }));
+  if (!todo || !ownerValues.includes(todo.owner)) {
+    throw new Error(`Todo ${id} not found`);
+  }
+
+  let schedule: ReturnType<typeof getNextSchedule> = null;
+  try {
+    if (completed && !todo.completed && !todo.deletedAt) {
+      schedule = getNextSchedule(todo, now, timeZone);
+    }
+  } catch (err) {
+    if (err instanceof RangeError) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+    throw err;
+  }
+
+  if (!schedule) {
+    await docClient.send(new UpdateCommand({
+      TableName: tableName,
+      Key: { id },
+      UpdateExpression: 'SET completed = :completed, #status = :status, updatedAt = :updatedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':completed': completed, ':status': completed ? 'done' : 'todo', ':updatedAt': updatedAt },
+    }));
+    return null;
+  }
+
+  const nextTodo = {
+    __typename: 'Todo',
+    id: randomUUID(),
+    content: todo.content,
+    notes: todo.notes ?? null,
+    completed: false,
+    status: 'todo' as const,
+    dueAt: schedule.dueAt,
+    priority: todo.priority ?? null,
+    remindAt: schedule.remindAt,
+    position: todo.position ?? null,
+    recurrence: todo.recurrence,
+    projectId: todo.projectId ?? null,
+    owner: todo.owner,
+    createdAt: updatedAt,
+    updatedAt,
+  };
+
+  await docClient.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        Update: {
+          TableName: tableName,
+          Key: { id },
+          UpdateExpression: 'SET completed = :completed, #status = :status, updatedAt = :updatedAt REMOVE recurrence',
+          ConditionExpression: 'recurrence = :recurrence',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':completed': true, ':status': 'done', ':updatedAt': updatedAt, ':recurrence': todo.recurrence },
+        },
+      },
+      { Put: { TableName: tableName, Item: nextTodo } },
+    ],
+  }));
+
+  return nextTodo;
+};
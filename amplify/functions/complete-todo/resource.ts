@@ -0,0 +1,10 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Resolver for the completeTodo mutation, grouped with the data stack (see backend.ts)
+ */
+export const completeTodo = defineFunction({
+  name: 'complete-todo',
+  entry: './handler.ts',
+  resourceGroupName: 'data',
+});
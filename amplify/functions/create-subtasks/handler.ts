@@ -0,0 +1,55 @@
+import type { Schema } from '../../data/resource';
+import { randomUUID } from 'crypto';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { getOwnerValues } from '../owner';
+import { MAX_BULK_ITEMS } from '../../../utils/bulkActions';
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient());
+
+/**
+ * Add steps to a todo, numbered on from `firstPosition`, returning the new
+ * subtasks.
+ *
+ * They're written in one transaction along with a check that the caller owns
+ * the todo, so either every step is added or none is.
+ */
+export const handler: Schema['createSubtasks']['functionHandler'] = async (event) => {
+  const { todoId, titles, firstPosition } = event.arguments;
+  const [owner, username] = getOwnerValues(event.identity);
+  const now = new Date().toISOString();
+
+  // One item of the transaction goes on checking the todo
+  if (titles.length > MAX_BULK_ITEMS - 1) {
+    throw new Error(`At most ${MAX_BULK_ITEMS - 1} steps can be added at once, but ${titles.length} were given`);
+  }
+
+  const subtasks = titles.map((title, index) => ({
+    __typename: 'Subtask',
+    id: randomUUID(),
+    title,
+    completed: false,
+    position: firstPosition + index,
+    todoId,
+    owner,
+    createdAt: now,
+    updatedAt: now,
+  }));
+
+  await docClient.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        ConditionCheck: {
+          TableName: process.env.TODO_TABLE_NAME,
+          Key: { id: todoId },
+          ConditionExpression: '#owner IN (:owner, :username)',
+          ExpressionAttributeNames: { '#owner': 'owner' },
+          ExpressionAttributeValues: { ':owner': owner, ':username': username },
+        },
+      },
+      ...subtasks.map(subtask => ({ Put: { TableName: process.env.SUBTASK_TABLE_NAME, Item: subtask } })),
+    ],
+  }));
+
+  return subtasks;
+};
@@ -0,0 +1,10 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Resolver for the createSubtasks mutation, grouped with the data stack (see backend.ts)
+ */
+export const createSubtasks = defineFunction({
+  name: 'create-subtasks',
+  entry: './handler.ts',
+  resourceGroupName: 'data',
+});
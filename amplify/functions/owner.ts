@@ -0,0 +1,12 @@
+/**
+ * Owner values the caller may hold, for checking records in the handlers that
+ * read the tables directly. Amplify stores `sub::username`, while records
+ * created by older versions carry just the username.
+ */
+export function getOwnerValues(identity: unknown): [owner: string, username: string] {
+  const { sub, username } = (identity ?? {}) as { sub?: string; username?: string };
+  if (!sub || !username) {
+    throw new Error('This needs a signed-in user');
+  }
+  return [`${sub}::${username}`, username];
+}
@@ -0,0 +1,49 @@
+import type { Schema } from '../../data/resource';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { DEFAULT_STATS_DAYS, MAX_STATS_DAYS, StatsTodo, computeTodoStats } from '../../../utils/todoStats';
+import { getOwnerValues } from '../owner';
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient());
+
+// Secondary index on Todo.owner (see amplify/data/resource.ts)
+const TODO_OWNER_INDEX = 'byOwner';
+
+/**
+ * Work out the caller's productivity statistics.
+ *
+ * The caller's todos are read through the owner index page by page, fetching
+ * only the fields the statistics need, so only the totals go back to the
+ * browser however many todos there are.
+ */
+export const handler: Schema['todoStats']['functionHandler'] = async (event) => {
+  const days = Math.min(Math.max(event.arguments.days ?? DEFAULT_STATS_DAYS, 1), MAX_STATS_DAYS);
+  const timeZone = event.arguments.timeZone ?? 'UTC';
+  const todos: StatsTodo[] = [];
+  // Older todos are owned by the bare username, so look up both owner values
+  for (const owner of getOwnerValues(event.identity)) {
+    let lastEvaluatedKey: Record<string, unknown> | undefined;
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: process.env.TODO_TABLE_NAME,
+        IndexName: TODO_OWNER_INDEX,
+        KeyConditionExpression: '#owner = :owner',
+        ProjectionExpression: 'createdAt, updatedAt, completed, dueAt, deletedAt',
+        ExpressionAttributeNames: { '#owner': 'owner' },
+        ExpressionAttributeValues: { ':owner': owner },
+        ExclusiveStartKey: lastEvaluatedKey,
+      }));
+      todos.push(...(response.Items ?? []) as StatsTodo[]);
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+
+  try {
+    return computeTodoStats(todos, { days, timeZone });
+  } catch (err) {
+    if (err instanceof RangeError) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+    throw err;
+  }
+};
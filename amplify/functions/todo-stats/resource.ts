@@ -0,0 +1,12 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Resolver for the todoStats query, grouped with the data stack (see backend.ts)
+ */
+export const todoStats = defineFunction({
+  name: 'todo-stats',
+  entry: './handler.ts',
+  resourceGroupName: 'data',
+  // Reading a long todo list page by page can take a while
+  timeoutSeconds: 30,
+});
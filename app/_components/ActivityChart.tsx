@@ -0,0 +1,67 @@
+"use client";
+
+import { Flex, Text, View, useTheme } from "@aws-amplify/ui-react";
+import type { TodoActivity } from "@/utils/todoStats";
+
+type ActivityChartProps = {
+  activity: TodoActivity[];
+  // Label for a period's first day, shown under its bars
+  formatLabel: (date: string) => string;
+};
+
+// Height of the tallest bar
+const CHART_HEIGHT_PX = 160;
+
+// Bar chart of todos created and completed per period
+export function ActivityChart({ activity, formatLabel }: ActivityChartProps) {
+  const { tokens } = useTheme();
+  const max = Math.max(1, ...activity.map(period => Math.max(period.created, period.completed)));
+  // Label every period when there's room, otherwise about a dozen of them
+  const labelEvery = Math.ceil(activity.length / 12);
+
+  const bar = (value: number, color: string) => (
+    <View
+      flex="1"
+      height={`${(value / max) * CHART_HEIGHT_PX}px`}
+      minHeight={value > 0 ? '2px' : '0'}
+      backgroundColor={color}
+      borderRadius={`${tokens.radii.xs} ${tokens.radii.xs} 0 0`}
+    />
+  );
+
+  return (
+    <View>
+      <Flex direction="row" gap={tokens.space.small} marginBottom={tokens.space.xs}>
+        <Text fontSize={tokens.fontSizes.xs}>
+          <Text as="span" color={tokens.colors.blue[60]}>■</Text> Created
+        </Text>
+        <Text fontSize={tokens.fontSizes.xs}>
+          <Text as="span" color={tokens.colors.green[60]}>■</Text> Completed
+        </Text>
+      </Flex>
+      <Flex direction="row" alignItems="flex-end" gap={tokens.space.xxxs} height={`${CHART_HEIGHT_PX}px`}>
+        {activity.map(period => (
+          <Flex
+            key={period.date}
+            direction="row"
+            alignItems="flex-end"
+            gap="1px"
+            flex="1"
+            height="100%"
+            title={`${formatLabel(period.date)}: ${period.created} created, ${period.completed} completed`}
+          >
+            {bar(period.created, tokens.colors.blue[60].value)}
+            {bar(period.completed, tokens.colors.green[60].value)}
+          </Flex>
+        ))}
+      </Flex>
+      <Flex direction="row" gap={tokens.space.xxxs} borderStyle="solid" borderWidth="1px 0 0 0" borderColor={tokens.colors.border.primary}>
+        {activity.map((period, index) => (
+          <Text key={period.date} flex="1" fontSize={tokens.fontSizes.xxs} textAlign="center" color={tokens.colors.font.secondary}>
+            {index % labelEvery === 0 ? formatLabel(period.date) : ''}
+          </Text>
+        ))}
+      </Flex>
+    </View>
+  );
+}
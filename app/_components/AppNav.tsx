@@ -0,0 +1,41 @@
+"use client";
+
+import NextLink from "next/link";
+import { usePathname } from "next/navigation";
+import { Flex, Link, useTheme } from "@aws-amplify/ui-react";
+
+// Top-level pages, in the order they're listed
+const NAV_LINKS = [
+  { href: '/', label: 'Todos' },
+  { href: '/today', label: 'Today' },
+  { href: '/calendar', label: 'Calendar' },
+  { href: '/dashboard', label: 'Dashboard' },
+  { href: '/chat', label: 'Chat' },
+];
+
+export function AppNav() {
+  const { tokens } = useTheme();
+  const pathname = usePathname();
+
+  return (
+    <Flex
+      as="nav"
+      direction="row"
+      gap={tokens.space.medium}
+      padding={`${tokens.space.small} ${tokens.space.large}`}
+      backgroundColor={tokens.colors.background.primary}
+    >
+      {NAV_LINKS.map(link => (
+        <Link
+          key={link.href}
+          as={NextLink}
+          href={link.href}
+          aria-current={pathname === link.href ? 'page' : undefined}
+          textDecoration={pathname === link.href ? 'underline' : 'none'}
+        >
+          {link.label}
+        </Link>
+      ))}
+    </Flex>
+  );
+}
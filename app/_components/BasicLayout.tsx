@@ -4,6 +4,8 @@ import { Authenticator } from "@aws-amplify/ui-react";
 import "@aws-amplify/ui-react/styles.css";
 import dynamic from 'next/dynamic';
 import { useEffect, useState } from 'react';
+import { AppNav } from './AppNav';
+import { getIsLocal } from "@/utils/environment";
 
 // Dynamically import the LocalAuthProvider to avoid SSR issues
 const LocalAuthProvider = dynamic(
@@ -19,7 +21,7 @@ export function BasicLayout({ children }: { children: React.ReactNode }) {
 
   useEffect(() => {
     // Check if we're in a local environment
-    setIsLocal(window.location.hostname === 'localhost');
+    setIsLocal(getIsLocal());
     // Mark the component as mounted
     setIsMounted(true);
   }, []);
@@ -32,13 +34,19 @@ export function BasicLayout({ children }: { children: React.ReactNode }) {
 
   // Use LocalAuthProvider for local development, Authenticator for production
   if (isLocal) {
-    return <LocalAuthProvider>{children}</LocalAuthProvider>;
+    return (
+      <LocalAuthProvider>
+        <AppNav />
+        {children}
+      </LocalAuthProvider>
+    );
   }
 
   // Use Amplify Authenticator for production
   return (
     <Authenticator.Provider>
       <Authenticator>
+        <AppNav />
         {children}
       </Authenticator>
     </Authenticator.Provider>
@@ -0,0 +1,81 @@
+"use client";
+
+import { Schema } from "@/amplify/data/resource";
+import { Button, CheckboxField, Flex, SelectField, Text, useTheme } from "@aws-amplify/ui-react";
+
+type Project = Schema["Project"]["type"];
+
+type BulkActionsBarProps = {
+  selectedCount: number;
+  selectableCount: number;
+  projects: Project[];
+  onSelectAll: (selected: boolean) => void;
+  onComplete: () => void;
+  onUncomplete: () => void;
+  onDelete: () => void;
+  onMove: (projectId: string | null) => void;
+};
+
+// Option value for moving todos out of every list
+const NO_PROJECT = "__none__";
+
+export function BulkActionsBar({
+  selectedCount,
+  selectableCount,
+  projects,
+  onSelectAll,
+  onComplete,
+  onUncomplete,
+  onDelete,
+  onMove,
+}: BulkActionsBarProps) {
+  const { tokens } = useTheme();
+
+  if (selectableCount === 0) {
+    return null;
+  }
+
+  const allSelected = selectedCount > 0 && selectedCount === selectableCount;
+
+  return (
+    <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.small} marginTop={tokens.space.small}>
+      <CheckboxField
+        label="Select all shown"
+        name="select-all-todos"
+        size="small"
+        checked={allSelected}
+        isIndeterminate={selectedCount > 0 && !allSelected}
+        onChange={() => onSelectAll(!allSelected)}
+      />
+      {selectedCount > 0 && (
+        <>
+          <Text fontSize={tokens.fontSizes.small}>{selectedCount} selected</Text>
+          <Button size="small" onClick={onComplete}>
+            Complete
+          </Button>
+          <Button size="small" onClick={onUncomplete}>
+            Mark active
+          </Button>
+          <SelectField
+            label="Move to list"
+            labelHidden
+            size="small"
+            value=""
+            onChange={(e) => e.target.value && onMove(e.target.value === NO_PROJECT ? null : e.target.value)}
+          >
+            <option value="">Move to list…</option>
+            <option value={NO_PROJECT}>No list</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </SelectField>
+          <Button size="small" variation="destructive" onClick={onDelete}>
+            Delete
+          </Button>
+        </>
+      )}
+    </Flex>
+  );
+}
@@ -0,0 +1,240 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useAIConversation } from "@/app/client";
+import type { ConversationMessage } from "@aws-amplify/ui-react-ai";
+import { Button, Flex, Loader, Text, TextAreaField, View, useTheme } from "@aws-amplify/ui-react";
+import { CHAT_TOOL_CONFIGURATION, CONFIRMED_CHAT_TOOLS, ChatTodo, ChatToolOutput, getChatContext, isChatToolName } from "@/utils/chatTools";
+import { runChatTool } from "@/app/runChatTools";
+import { Markdown } from "./Markdown";
+import { ChatToolCard } from "./ChatToolCard";
+import type { Conversation } from "./ChatPanel";
+
+type ChatConversationProps = {
+  // Omit to start a new conversation
+  id?: string;
+  onInitialize: (conversation: Conversation) => void;
+  onSend: (text: string) => void;
+};
+
+type ToolUse = NonNullable<ConversationMessage["content"][number]["toolUse"]>;
+
+// The text parts of a message, e.g. to send it again
+function getText(message: ConversationMessage) {
+  return message.content.map(block => block.text ?? '').join('\n').trim();
+}
+
+function getToolUses(message: ConversationMessage) {
+  return message.content.flatMap(block => block.toolUse ? [block.toolUse] : []);
+}
+
+// Tool input and results can come back from the API as serialized JSON
+function parseJson<T>(value: unknown): T {
+  return (typeof value === 'string' ? JSON.parse(value) : value) as T;
+}
+
+export function ChatConversation({ id, onInitialize, onSend }: ChatConversationProps) {
+  const { tokens } = useTheme();
+  const [draft, setDraft] = useState("");
+  // Results of the latest tool calls, held until they can all be sent back together
+  const [toolOutputs, setToolOutputs] = useState<Record<string, ChatToolOutput>>({});
+  const [runningToolIds, setRunningToolIds] = useState<Set<string>>(new Set());
+  const startedToolIds = useRef(new Set<string>());
+  const answeredMessageId = useRef<string | null>(null);
+  const endRef = useRef<HTMLDivElement>(null);
+  const [{ data: { messages }, isLoading, hasError, errors }, sendMessage] = useAIConversation('chat', {
+    id,
+    onInitialize: (conversation) => onInitialize(conversation as Conversation),
+  });
+
+  const lastMessage = messages[messages.length - 1];
+  // Tool results are sent as user messages too, but there's nothing to retry in them
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user' && getText(message));
+
+  // Everything the tools have answered so far, sent or not
+  const outputs: Record<string, ChatToolOutput> = { ...toolOutputs };
+  messages.forEach(message => message.content.forEach(block => {
+    if (block.toolResult) {
+      const json = block.toolResult.content.find(content => content.json !== undefined)?.json;
+      outputs[block.toolResult.toolUseId] = json !== undefined ? parseJson(json) : {};
+    }
+  }));
+
+  // Todos the tools have turned up, by id, so cards can name the todo a change is for
+  const knownTodos: Record<string, ChatTodo> = {};
+  Object.values(outputs).forEach(output => {
+    [...(output.todos ?? []), output.todo, output.next].forEach(todo => {
+      if (todo) knownTodos[todo.id] = todo;
+    });
+  });
+
+  // The assistant is waiting on these calls before it can carry on; if answering failed, the question can be retried instead
+  const pendingToolUses = lastMessage?.role === 'assistant' && !lastMessage.isLoading && !isLoading && !hasError
+    ? getToolUses(lastMessage)
+    : [];
+  // A reply is streaming in, the question is on its way, or tools are still to run
+  const isResponding = isLoading || lastMessage?.isLoading === true || pendingToolUses.length > 0;
+  // The last question got no answer, e.g. because the request failed
+  const canRetry = !isResponding && lastUserMessage !== undefined && (hasError || lastMessage?.role === 'user');
+
+  // Keep the newest message in view as replies stream in
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages.length, lastMessage && getText(lastMessage)]);
+
+  // Run calls that don't need confirming as soon as they arrive
+  useEffect(() => {
+    pendingToolUses.forEach(toolUse => {
+      if (outputs[toolUse.toolUseId] || startedToolIds.current.has(toolUse.toolUseId)) return;
+      if (isChatToolName(toolUse.name) && CONFIRMED_CHAT_TOOLS.includes(toolUse.name)) return;
+      runTool(toolUse);
+    });
+  });
+
+  // Answer the assistant once every call it made has a result
+  useEffect(() => {
+    if (pendingToolUses.length === 0 || !pendingToolUses.every(toolUse => toolOutputs[toolUse.toolUseId])) return;
+    if (answeredMessageId.current === lastMessage.id) return;
+
+    answeredMessageId.current = lastMessage.id;
+    sendMessage({
+      content: pendingToolUses.map(toolUse => ({
+        toolResult: {
+          toolUseId: toolUse.toolUseId,
+          content: [{ json: toolOutputs[toolUse.toolUseId] }],
+        },
+      })),
+      aiContext: getChatContext(),
+      toolConfiguration: CHAT_TOOL_CONFIGURATION,
+    });
+  }, [lastMessage?.id, toolOutputs]);
+
+  async function runTool(toolUse: ToolUse) {
+    startedToolIds.current.add(toolUse.toolUseId);
+    setRunningToolIds(current => new Set(current).add(toolUse.toolUseId));
+
+    const output = isChatToolName(toolUse.name)
+      ? await runChatTool(toolUse.name, parseJson(toolUse.input) ?? {})
+      : { error: `There's no tool called ${toolUse.name}` };
+
+    setToolOutputs(current => ({ ...current, [toolUse.toolUseId]: output }));
+    setRunningToolIds(current => {
+      const next = new Set(current);
+      next.delete(toolUse.toolUseId);
+      return next;
+    });
+  }
+
+  function declineTool(toolUse: ToolUse) {
+    startedToolIds.current.add(toolUse.toolUseId);
+    setToolOutputs(current => ({ ...current, [toolUse.toolUseId]: { declined: true } }));
+  }
+
+  function send(text: string) {
+    if (!text.trim() || isResponding) return;
+    sendMessage({ content: [{ text }], aiContext: getChatContext(), toolConfiguration: CHAT_TOOL_CONFIGURATION });
+    onSend(text);
+  }
+
+  function submitDraft() {
+    send(draft);
+    setDraft("");
+  }
+
+  return (
+    <Flex direction="column" flex="1" minWidth="0">
+      <View flex="1" maxHeight="60vh" style={{ overflowY: 'auto' }}>
+        {messages.length === 0 && !isLoading && (
+          <Text color={tokens.colors.font.tertiary}>Ask anything to get started.</Text>
+        )}
+        {messages.map(message => {
+          const text = getText(message);
+          const toolUses = getToolUses(message);
+          // Tool results are shown on the cards of the calls they answer
+          if (!text && toolUses.length === 0 && !message.isLoading) return null;
+
+          return (
+            <View key={message.id}>
+              {(text || toolUses.length === 0) && (
+                <View
+                  padding={tokens.space.small}
+                  marginBottom={tokens.space.xs}
+                  marginLeft={message.role === 'user' ? '15%' : undefined}
+                  marginRight={message.role === 'assistant' ? '15%' : undefined}
+                  backgroundColor={message.role === 'user' ? tokens.colors.background.tertiary : tokens.colors.background.secondary}
+                  borderRadius={tokens.radii.medium}
+                >
+                  {text ? <Markdown>{text}</Markdown> : <Loader />}
+                </View>
+              )}
+              {toolUses.map(toolUse => {
+                if (!isChatToolName(toolUse.name)) return null;
+                const isAwaitingConfirmation = pendingToolUses.includes(toolUse)
+                  && CONFIRMED_CHAT_TOOLS.includes(toolUse.name)
+                  && !outputs[toolUse.toolUseId]
+                  && !runningToolIds.has(toolUse.toolUseId);
+
+                return (
+                  <ChatToolCard
+                    key={toolUse.toolUseId}
+                    name={toolUse.name}
+                    input={parseJson(toolUse.input) ?? {}}
+                    output={outputs[toolUse.toolUseId]}
+                    knownTodos={knownTodos}
+                    isRunning={runningToolIds.has(toolUse.toolUseId)}
+                    onConfirm={isAwaitingConfirmation ? () => runTool(toolUse) : undefined}
+                    onDecline={isAwaitingConfirmation ? () => declineTool(toolUse) : undefined}
+                  />
+                );
+              })}
+            </View>
+          );
+        })}
+        {isLoading && lastMessage?.role === 'user' && <Loader />}
+        <div ref={endRef} />
+      </View>
+
+      {canRetry && (
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginTop={tokens.space.xs}>
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.error}>
+            {errors?.[0]?.message ?? "The last message didn't get a reply."}
+          </Text>
+          <Button size="small" variation="link" onClick={() => send(getText(lastUserMessage))}>
+            Retry
+          </Button>
+        </Flex>
+      )}
+
+      <Flex
+        as="form"
+        direction="row"
+        alignItems="flex-end"
+        gap={tokens.space.xs}
+        marginTop={tokens.space.small}
+        onSubmit={(e: React.FormEvent) => {
+          e.preventDefault();
+          submitDraft();
+        }}
+      >
+        <TextAreaField
+          label="Message"
+          labelHidden
+          placeholder="Message the assistant (Shift+Enter for a new line)"
+          rows={2}
+          flex="1"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              submitDraft();
+            }
+          }}
+        />
+        <Button type="submit" variation="primary" isDisabled={isResponding || !draft.trim()}>
+          Send
+        </Button>
+      </Flex>
+    </Flex>
+  );
+}
@@ -0,0 +1,165 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { client } from "@/app/client";
+import { Button, Flex, Loader, Text, View, useTheme } from "@aws-amplify/ui-react";
+import { ChatConversation } from "./ChatConversation";
+
+export type Conversation = NonNullable<Awaited<ReturnType<typeof client.conversations.chat.create>>["data"]>;
+
+// Longest conversation name taken from its first message
+const CONVERSATION_NAME_LENGTH = 60;
+
+// Name for a conversation in the list
+function getConversationLabel(conversation: Conversation) {
+  return conversation.name || `Conversation from ${new Date(conversation.createdAt).toLocaleString()}`;
+}
+
+export function ChatPanel() {
+  const { tokens } = useTheme();
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [activeId, setActiveId] = useState<string | undefined>(undefined);
+  // The conversation on screen, as it was opened; a new one keeps its key once it has an id,
+  // so it isn't reloaded in the middle of its first reply
+  const [session, setSession] = useState<{ key: string; id?: string } | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const activeConversation = conversations.find(conversation => conversation.id === activeId);
+
+  // Load the conversation list and open the most recent one
+  useEffect(() => {
+    async function loadConversations() {
+      try {
+        const { data, errors } = await client.conversations.chat.list();
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+
+        const sorted = [...data].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        setConversations(sorted);
+        if (sorted.length > 0) {
+          openConversation(sorted[0].id);
+        } else {
+          startConversation();
+        }
+      } catch (err) {
+        console.error('Error loading conversations:', err);
+        setError('Failed to load conversations. Chat needs a signed-in account.');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadConversations();
+  }, []);
+
+  function openConversation(id: string) {
+    setActiveId(id);
+    setSession({ key: id, id });
+  }
+
+  function startConversation() {
+    setActiveId(undefined);
+    setSession({ key: `new-${Date.now()}` });
+  }
+
+  // A new conversation has been created in the backend
+  function addConversation(conversation: Conversation) {
+    setActiveId(conversation.id);
+    setConversations(current => current.some(c => c.id === conversation.id) ? current : [conversation, ...current]);
+  }
+
+  // Name an unnamed conversation after the first message sent in it
+  async function nameConversation(text: string) {
+    if (!activeConversation || activeConversation.name) return;
+
+    const name = text.trim().replace(/\s+/g, ' ').slice(0, CONVERSATION_NAME_LENGTH);
+    setConversations(current => current.map(c => c.id === activeConversation.id ? { ...c, name } : c));
+    const { errors } = await client.conversations.chat.update({ id: activeConversation.id, name });
+    if (errors?.length) {
+      console.error('Error naming conversation:', errors);
+    }
+  }
+
+  async function deleteConversation(conversation: Conversation) {
+    if (!window.confirm(`Delete "${getConversationLabel(conversation)}"?`)) return;
+
+    try {
+      const { errors } = await client.conversations.chat.delete({ id: conversation.id });
+      if (errors?.length) {
+        throw new Error(errors[0].message);
+      }
+
+      const remaining = conversations.filter(c => c.id !== conversation.id);
+      setConversations(remaining);
+      if (conversation.id === activeId) {
+        if (remaining.length > 0) {
+          openConversation(remaining[0].id);
+        } else {
+          startConversation();
+        }
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error deleting conversation:', err);
+      setError("Couldn't delete the conversation. Please try again.");
+    }
+  }
+
+  if (loading) {
+    return <Loader variation="linear" />;
+  }
+
+  return (
+    <Flex direction="row" alignItems="flex-start" gap={tokens.space.medium}>
+      <View width="16rem">
+        <Button variation="primary" size="small" isFullWidth onClick={startConversation} marginBottom={tokens.space.small}>
+          New conversation
+        </Button>
+        {conversations.map(conversation => (
+          <Flex
+            key={conversation.id}
+            direction="row"
+            alignItems="center"
+            padding={tokens.space.xxs}
+            borderRadius={tokens.radii.small}
+            backgroundColor={conversation.id === activeId ? tokens.colors.background.tertiary : undefined}
+          >
+            <Button
+              size="small"
+              variation="link"
+              flex="1"
+              justifyContent="flex-start"
+              title={getConversationLabel(conversation)}
+              onClick={() => openConversation(conversation.id)}
+              style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+            >
+              {getConversationLabel(conversation)}
+            </Button>
+            <Button
+              size="small"
+              variation="link"
+              aria-label={`Delete ${getConversationLabel(conversation)}`}
+              onClick={() => deleteConversation(conversation)}
+            >
+              ×
+            </Button>
+          </Flex>
+        ))}
+      </View>
+
+      <Flex direction="column" flex="1" minWidth="0">
+        {error && <Text color={tokens.colors.font.error}>{error}</Text>}
+        {session && (
+          <ChatConversation
+            key={session.key}
+            id={session.id}
+            onInitialize={addConversation}
+            onSend={nameConversation}
+          />
+        )}
+      </Flex>
+    </Flex>
+  );
+}
@@ -0,0 +1,141 @@
+"use client";
+
+import { Badge, Button, Flex, Loader, Text, View, useTheme } from "@aws-amplify/ui-react";
+import { ChatTodo, ChatToolName, ChatToolOutput, describeChatTool } from "@/utils/chatTools";
+import { formatDueAt } from "@/utils/todoDates";
+import { TODO_STATUS_LABELS } from "@/utils/todoStatus";
+import { Markdown } from "./Markdown";
+
+// Most todos listed on a card; the assistant still sees them all
+const CARD_TODO_LIMIT = 8;
+
+type ChatToolCardProps = {
+  name: ChatToolName;
+  input: Record<string, any>;
+  // What the tool answered with, once it has run or been declined
+  output?: ChatToolOutput;
+  // Todos seen earlier in the conversation, to name the one a change is for
+  knownTodos: Record<string, ChatTodo>;
+  isRunning: boolean;
+  // Given while the change is waiting for the user's go-ahead
+  onConfirm?: () => void;
+  onDecline?: () => void;
+};
+
+function TodoLine({ todo }: { todo: ChatTodo }) {
+  const { tokens } = useTheme();
+
+  return (
+    <Flex direction="row" alignItems="baseline" gap={tokens.space.xs} fontSize={tokens.fontSizes.small}>
+      <Text
+        as="span"
+        fontSize={tokens.fontSizes.small}
+        style={{ textDecoration: todo.status === 'done' ? 'line-through' : undefined }}
+      >
+        <Markdown inline>{todo.content}</Markdown>
+      </Text>
+      {todo.status && todo.status !== 'todo' && todo.status !== 'done' && (
+        <Badge size="small">{TODO_STATUS_LABELS[todo.status]}</Badge>
+      )}
+      {todo.dueAt && (
+        <Text as="span" fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary}>
+          due {formatDueAt(todo.dueAt)}
+        </Text>
+      )}
+    </Flex>
+  );
+}
+
+// A tool call made by the assistant, with its result or a request to confirm it
+export function ChatToolCard({ name, input, output, knownTodos, isRunning, onConfirm, onDecline }: ChatToolCardProps) {
+  const { tokens } = useTheme();
+  const target = input.id ? knownTodos[input.id] : undefined;
+
+  // What the call is about to do, shown until it has a result
+  function renderRequest() {
+    switch (name) {
+      case 'createTodo':
+        return <TodoLine todo={{ id: '', content: input.content ?? '', dueAt: input.dueAt, priority: input.priority }} />;
+      case 'completeTodo':
+        return target ? <TodoLine todo={target} /> : <Text fontSize={tokens.fontSizes.small}>Todo {input.id}</Text>;
+      case 'rescheduleTodo':
+        return (
+          <>
+            {target ? <TodoLine todo={target} /> : <Text fontSize={tokens.fontSizes.small}>Todo {input.id}</Text>}
+            <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+              {input.dueAt ? `New due date: ${formatDueAt(input.dueAt)}` : 'No due date'}
+            </Text>
+          </>
+        );
+      default:
+        return null;
+    }
+  }
+
+  function renderOutput(result: ChatToolOutput) {
+    if (result.error) {
+      return <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.error}>{result.error}</Text>;
+    }
+    if (result.declined) {
+      return <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.tertiary}>Cancelled; nothing was changed.</Text>;
+    }
+    if (result.todos) {
+      if (result.todos.length === 0) {
+        return <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.tertiary}>No matching todos.</Text>;
+      }
+      return (
+        <>
+          {result.todos.slice(0, CARD_TODO_LIMIT).map(todo => <TodoLine key={todo.id} todo={todo} />)}
+          {result.todos.length > CARD_TODO_LIMIT && (
+            <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary}>
+              and {result.todos.length - CARD_TODO_LIMIT} more
+            </Text>
+          )}
+        </>
+      );
+    }
+    return (
+      <>
+        {result.todo && <TodoLine todo={result.todo} />}
+        {result.next && (
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary}>
+            Next occurrence{result.next.dueAt ? ` due ${formatDueAt(result.next.dueAt)}` : ' added'}
+          </Text>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <View
+      padding={tokens.space.xs}
+      marginBottom={tokens.space.xs}
+      marginRight="15%"
+      borderStyle="solid"
+      borderWidth="1px"
+      borderColor={onConfirm ? tokens.colors.border.focus : tokens.colors.border.secondary}
+      borderRadius={tokens.radii.medium}
+    >
+      <Flex direction="row" alignItems="center" gap={tokens.space.xs}>
+        <Text fontSize={tokens.fontSizes.small} fontWeight="bold">
+          {describeChatTool(name, input)}
+        </Text>
+        {output && !output.error && !output.declined && <Badge size="small" variation="success">Done</Badge>}
+        {isRunning && <Loader size="small" />}
+      </Flex>
+      <Flex direction="column" gap={tokens.space.xxxs} marginTop={tokens.space.xxs}>
+        {output ? renderOutput(output) : renderRequest()}
+      </Flex>
+      {onConfirm && onDecline && (
+        <Flex direction="row" gap={tokens.space.xs} marginTop={tokens.space.xs}>
+          <Button size="small" variation="primary" onClick={onConfirm} isDisabled={isRunning}>
+            Confirm
+          </Button>
+          <Button size="small" variation="link" onClick={onDecline} isDisabled={isRunning}>
+            Cancel
+          </Button>
+        </Flex>
+      )}
+    </View>
+  );
+}
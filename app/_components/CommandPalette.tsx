@@ -0,0 +1,89 @@
+"use client";
+
+import { useState } from "react";
+import { Flex, SearchField, Text, View, useTheme } from "@aws-amplify/ui-react";
+import { Overlay } from "./Overlay";
+
+export type PaletteCommand = {
+  id: string;
+  label: string;
+  shortcut?: string;
+  run: () => void;
+};
+
+type CommandPaletteProps = {
+  commands: PaletteCommand[];
+  onClose: () => void;
+};
+
+export function CommandPalette({ commands, onClose }: CommandPaletteProps) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const { tokens } = useTheme();
+
+  const matches = commands.filter(command => command.label.toLowerCase().includes(query.trim().toLowerCase()));
+
+  // Close the palette before running so the command can move focus
+  function runCommand(command: PaletteCommand) {
+    onClose();
+    command.run();
+  }
+
+  // Arrow keys pick a command and Enter runs it
+  function handleKeyDown(e: React.KeyboardEvent<HTMLInputElement>) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(index => (index + step + matches.length) % Math.max(matches.length, 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const command = matches[activeIndex];
+      if (command) runCommand(command);
+    }
+  }
+
+  return (
+    <Overlay label="Command palette" onClose={onClose}>
+      <SearchField
+        label="Command"
+        labelHidden
+        placeholder="Type a command"
+        autoFocus
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onClear={() => setQuery("")}
+        onKeyDown={handleKeyDown}
+        hasSearchButton={false}
+      />
+      <View as="ul" role="listbox" padding="0" margin={`${tokens.space.xs} 0 0`} style={{ listStyle: 'none' }}>
+        {matches.length === 0 && <Text fontSize={tokens.fontSizes.small}>No matching commands.</Text>}
+        {matches.map((command, index) => (
+          <View
+            as="li"
+            key={command.id}
+            role="option"
+            aria-selected={index === activeIndex}
+            padding={tokens.space.xs}
+            borderRadius={tokens.radii.small}
+            backgroundColor={index === activeIndex ? tokens.colors.background.tertiary : undefined}
+            style={{ cursor: 'pointer' }}
+            onMouseEnter={() => setActiveIndex(index)}
+            onClick={() => runCommand(command)}
+          >
+            <Flex direction="row" justifyContent="space-between">
+              <Text fontSize={tokens.fontSizes.small}>{command.label}</Text>
+              {command.shortcut && (
+                <Text as="kbd" fontSize={tokens.fontSizes.small} fontFamily="monospace" color={tokens.colors.font.secondary}>
+                  {command.shortcut}
+                </Text>
+              )}
+            </Flex>
+          </View>
+        ))}
+      </View>
+    </Overlay>
+  );
+}
@@ -3,12 +3,7 @@
 import { Amplify } from "aws-amplify";
 import { useEffect, useState } from "react";
 import outputs from '@/amplify_outputs.json';
-
-// Create a function to determine if we're in a local environment
-// This ensures it's only called on the client side
-function getIsLocal() {
-  return typeof window !== 'undefined' && window.location.hostname === 'localhost';
-}
+import { getIsLocal } from "@/utils/environment";
 
 export function ConfigureAmplifyClientSide() {
   const [isConfigured, setIsConfigured] = useState(false);
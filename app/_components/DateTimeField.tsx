@@ -0,0 +1,56 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { TextField } from "@aws-amplify/ui-react";
+import { fromDateTimeInputValue, toDateTimeInputValue } from "@/utils/todoDates";
+
+type DateTimeFieldProps = {
+  label: string;
+  value: string | null | undefined;
+  onSave: (value: string | null) => void;
+};
+
+// A date and time on a todo, saved once it's been entered rather than on every
+// keystroke, as the browser reports each part of the date while it's typed
+export function DateTimeField({ label, value, onSave }: DateTimeFieldProps) {
+  const [draft, setDraft] = useState(toDateTimeInputValue(value));
+  const [isEditing, setIsEditing] = useState(false);
+
+  // Pick up changes made elsewhere, e.g. by undo, unless they'd overwrite an edit in progress
+  useEffect(() => {
+    if (!isEditing) setDraft(toDateTimeInputValue(value));
+  }, [value, isEditing]);
+
+  function save() {
+    if (draft !== toDateTimeInputValue(value)) {
+      onSave(fromDateTimeInputValue(draft));
+    }
+    setIsEditing(false);
+  }
+
+  function handleKeyDown(e: React.KeyboardEvent<HTMLInputElement>) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setDraft(toDateTimeInputValue(value));
+      setIsEditing(false);
+    }
+  }
+
+  return (
+    <TextField
+      label={label}
+      type="datetime-local"
+      size="small"
+      value={draft}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        setIsEditing(true);
+      }}
+      onBlur={save}
+      onKeyDown={handleKeyDown}
+    />
+  );
+}
@@ -2,14 +2,7 @@
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { Button, Flex, Heading, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
-
-// Safely access localStorage
-const getLocalStorage = () => {
-  if (typeof window !== 'undefined') {
-    return window.localStorage;
-  }
-  return null;
-};
+import { getLocalStorage } from "@/utils/environment";
 
 // Define the user type
 type User = {
@@ -0,0 +1,53 @@
+"use client";
+
+import ReactMarkdown, { Components } from "react-markdown";
+import { View, useTheme } from "@aws-amplify/ui-react";
+
+type MarkdownProps = {
+  children: string;
+  // Render on one line, e.g. for a todo's title; block elements lose their formatting
+  inline?: boolean;
+};
+
+// Elements kept in inline mode; anything else is replaced by its contents
+const INLINE_ELEMENTS = ['p', 'a', 'strong', 'em', 'code'];
+
+// Todo text is user content: raw HTML is dropped rather than rendered, and
+// react-markdown's default URL transform already strips javascript: links
+export function Markdown({ children, inline = false }: MarkdownProps) {
+  const { tokens } = useTheme();
+
+  const components: Components = {
+    // Links open in a new tab without giving it access to this one
+    a: ({ node: _node, ...props }) => (
+      <a {...props} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()} />
+    ),
+    code: ({ node: _node, ...props }) => (
+      <code
+        {...props}
+        style={{
+          fontFamily: 'monospace',
+          fontSize: '0.9em',
+          padding: '0 0.25em',
+          borderRadius: tokens.radii.small.value,
+          backgroundColor: tokens.colors.background.tertiary.value,
+        }}
+      />
+    ),
+    ...(inline ? { p: ({ children: content }) => <>{content}</> } : {}),
+  };
+
+  const markdown = (
+    <ReactMarkdown
+      skipHtml
+      components={components}
+      allowedElements={inline ? INLINE_ELEMENTS : undefined}
+      unwrapDisallowed={inline}
+    >
+      {children}
+    </ReactMarkdown>
+  );
+
+  // Block content gets a wrapper so paragraphs and lists keep tidy spacing
+  return inline ? markdown : <View className="markdown">{markdown}</View>;
+}
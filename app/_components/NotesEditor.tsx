@@ -0,0 +1,104 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button, Flex, Text, TextAreaField, View, useTheme } from "@aws-amplify/ui-react";
+import { Markdown } from "./Markdown";
+
+type NotesEditorProps = {
+  notes: string | null | undefined;
+  onSave: (notes: string | null) => void;
+};
+
+// Long-form Markdown notes on a todo, shown rendered until they're edited
+export function NotesEditor({ notes, onSave }: NotesEditorProps) {
+  const { tokens } = useTheme();
+  const [isEditing, setIsEditing] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [draft, setDraft] = useState(notes ?? "");
+
+  // Pick up changes made elsewhere, e.g. by undo, unless they'd overwrite an edit in progress
+  useEffect(() => {
+    if (!isEditing) setDraft(notes ?? "");
+  }, [notes, isEditing]);
+
+  function save() {
+    const trimmed = draft.trim();
+    if (trimmed !== (notes ?? "")) {
+      onSave(trimmed || null);
+    }
+    setIsEditing(false);
+    setShowPreview(false);
+  }
+
+  function cancel() {
+    setDraft(notes ?? "");
+    setIsEditing(false);
+    setShowPreview(false);
+  }
+
+  if (!isEditing) {
+    return (
+      <View marginTop={tokens.space.xs}>
+        {notes ? (
+          <View onDoubleClick={() => setIsEditing(true)} title="Double-click to edit">
+            <Markdown>{notes}</Markdown>
+          </View>
+        ) : (
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.tertiary}>
+            No notes.
+          </Text>
+        )}
+        <Button size="small" variation="link" padding="0" onClick={() => setIsEditing(true)}>
+          {notes ? 'Edit notes' : 'Add notes'}
+        </Button>
+      </View>
+    );
+  }
+
+  return (
+    <View marginTop={tokens.space.xs}>
+      {showPreview ? (
+        <View
+          padding={tokens.space.xs}
+          minHeight="6rem"
+          borderStyle="solid"
+          borderWidth="1px"
+          borderColor={tokens.colors.border.primary}
+          borderRadius={tokens.radii.small}
+        >
+          {draft.trim() ? <Markdown>{draft}</Markdown> : <Text color={tokens.colors.font.tertiary}>Nothing to preview.</Text>}
+        </View>
+      ) : (
+        <TextAreaField
+          label="Notes"
+          descriptiveText="Markdown: **bold**, *italic*, `code`, [links](https://example.com) and - lists"
+          rows={5}
+          autoFocus
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            // Ctrl/Cmd+Enter saves, Escape cancels
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+              e.preventDefault();
+              save();
+            } else if (e.key === 'Escape') {
+              e.preventDefault();
+              cancel();
+            }
+          }}
+        />
+      )}
+      <Flex direction="row" gap={tokens.space.xs} marginTop={tokens.space.xxs}>
+        <Button size="small" variation="primary" onClick={save}>
+          Save notes
+        </Button>
+        <Button size="small" onClick={() => setShowPreview(!showPreview)}>
+          {showPreview ? 'Write' : 'Preview'}
+        </Button>
+        <Button size="small" variation="link" onClick={cancel}>
+          Cancel
+        </Button>
+      </Flex>
+    </View>
+  );
+}
@@ -0,0 +1,54 @@
+"use client";
+
+import { useEffect } from "react";
+import { View, useTheme } from "@aws-amplify/ui-react";
+
+type OverlayProps = {
+  label: string;
+  onClose: () => void;
+  children: React.ReactNode;
+};
+
+/**
+ * A modal panel over the page that closes on Escape or a click outside it
+ */
+export function Overlay({ label, onClose, children }: OverlayProps) {
+  const { tokens } = useTheme();
+
+  useEffect(() => {
+    function handleKeyDown(e: KeyboardEvent) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onClose();
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <View
+      style={{ position: 'fixed', inset: 0, zIndex: 20, display: 'flex', alignItems: 'flex-start', justifyContent: 'center' }}
+      backgroundColor="rgba(0, 0, 0, 0.4)"
+      paddingTop="15vh"
+      onClick={onClose}
+    >
+      <View
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        width="min(32rem, 90vw)"
+        maxHeight="60vh"
+        overflow="auto"
+        padding={tokens.space.medium}
+        backgroundColor={tokens.colors.background.primary}
+        borderRadius={tokens.radii.medium}
+        boxShadow="large"
+        onClick={(e: React.MouseEvent) => e.stopPropagation()}
+      >
+        {children}
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,138 @@
+"use client";
+
+import { useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { Button, Flex, SelectField, TextField, useTheme } from "@aws-amplify/ui-react";
+
+type Project = Schema["Project"]["type"];
+
+type ProjectSelectorProps = {
+  projects: Project[];
+  selectedProjectId: string | null;
+  onSelect: (id: string | null) => void;
+  onCreate: (name: string) => void;
+  onRename: (id: string, name: string) => void;
+  onDelete: (id: string) => void;
+};
+
+// Value used by the select field for the "all todos" option
+const ALL_PROJECTS = "__all__";
+
+export function ProjectSelector({
+  projects,
+  selectedProjectId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+}: ProjectSelectorProps) {
+  const [newProjectName, setNewProjectName] = useState("");
+  const [renameValue, setRenameValue] = useState("");
+  const [isRenaming, setIsRenaming] = useState(false);
+  const { tokens } = useTheme();
+
+  const selectedProject = projects.find(project => project.id === selectedProjectId);
+
+  // Create a new list from the form input
+  function handleCreate(e: React.FormEvent) {
+    e.preventDefault();
+    if (!newProjectName.trim()) return;
+
+    onCreate(newProjectName.trim());
+    setNewProjectName("");
+  }
+
+  // Save the new name of the selected list
+  function handleRename(e: React.FormEvent) {
+    e.preventDefault();
+    if (!selectedProject || !renameValue.trim()) return;
+
+    onRename(selectedProject.id, renameValue.trim());
+    setIsRenaming(false);
+  }
+
+  // Delete the selected list after confirmation
+  function handleDelete() {
+    if (!selectedProject) return;
+    if (!window.confirm(`Delete the list "${selectedProject.name}"? Its todos will be kept.`)) return;
+
+    onDelete(selectedProject.id);
+    setIsRenaming(false);
+  }
+
+  return (
+    <Flex direction="column" gap={tokens.space.xs} marginBottom={tokens.space.medium}>
+      <Flex direction="row" alignItems="flex-end" gap={tokens.space.xs}>
+        <SelectField
+          label="List"
+          value={selectedProjectId ?? ALL_PROJECTS}
+          onChange={(e) => {
+            setIsRenaming(false);
+            onSelect(e.target.value === ALL_PROJECTS ? null : e.target.value);
+          }}
+          flex="1"
+        >
+          <option value={ALL_PROJECTS}>All todos</option>
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+        </SelectField>
+        {selectedProject && !isRenaming && (
+          <>
+            <Button
+              size="small"
+              variation="link"
+              onClick={() => {
+                setRenameValue(selectedProject.name);
+                setIsRenaming(true);
+              }}
+            >
+              Rename
+            </Button>
+            <Button size="small" variation="link" onClick={handleDelete}>
+              Delete list
+            </Button>
+          </>
+        )}
+      </Flex>
+
+      {selectedProject && isRenaming && (
+        <form onSubmit={handleRename}>
+          <Flex direction="row" alignItems="center" gap={tokens.space.xs}>
+            <TextField
+              label="List name"
+              labelHidden
+              value={renameValue}
+              onChange={(e) => setRenameValue(e.target.value)}
+              flex="1"
+            />
+            <Button type="submit" size="small">
+              Save
+            </Button>
+            <Button size="small" variation="link" onClick={() => setIsRenaming(false)}>
+              Cancel
+            </Button>
+          </Flex>
+        </form>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs}>
+          <TextField
+            label="New List"
+            labelHidden
+            placeholder="New list name"
+            value={newProjectName}
+            onChange={(e) => setNewProjectName(e.target.value)}
+            flex="1"
+          />
+          <Button type="submit" size="small">
+            Add List
+          </Button>
+        </Flex>
+      </form>
+    </Flex>
+  );
+}
@@ -0,0 +1,98 @@
+"use client";
+
+import { Schema } from "@/amplify/data/resource";
+import { Button, Flex, SelectField, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
+import { TODO_PRIORITIES, TodoPriority, toDateTimeInputValue } from "@/utils/todoDates";
+import { TagInput, normalizeTagName } from "./TagInput";
+
+type Tag = Schema["Tag"]["type"];
+type ParsedTodo = Schema["ParsedTodo"]["type"];
+
+// A parsed todo as the user is checking it, in form field values
+export type QuickAddDraft = {
+  content: string;
+  dueAt: string;
+  priority: TodoPriority | "";
+  tags: string[];
+};
+
+/**
+ * Turn what parseTodo made of some text into a draft, keeping the text as
+ * the content if nothing was left of it
+ */
+export function toQuickAddDraft(parsed: ParsedTodo, text: string): QuickAddDraft {
+  const tags = (parsed.tags ?? []).map(normalizeTagName).filter(Boolean);
+  return {
+    content: parsed.content?.trim() || text.trim(),
+    dueAt: toDateTimeInputValue(parsed.dueAt),
+    priority: parsed.priority ?? "",
+    tags: Array.from(new Set(tags)),
+  };
+}
+
+type QuickAddPreviewProps = {
+  draft: QuickAddDraft;
+  tags: Tag[];
+  onChange: (draft: QuickAddDraft) => void;
+  onAccept: () => void;
+  onDiscard: () => void;
+};
+
+// The todo quick-add made of the typed text, editable before it's created
+export function QuickAddPreview({ draft, tags, onChange, onAccept, onDiscard }: QuickAddPreviewProps) {
+  const { tokens } = useTheme();
+
+  return (
+    <View
+      padding={tokens.space.small}
+      marginTop={tokens.space.xs}
+      borderStyle="solid"
+      borderWidth="1px"
+      borderColor={tokens.colors.border.focus}
+      borderRadius={tokens.radii.medium}
+    >
+      <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+        Check the new todo before adding it:
+      </Text>
+      <Flex direction="row" alignItems="flex-end" wrap="wrap" gap={tokens.space.small} marginTop={tokens.space.xxs}>
+        <TextField
+          label="Todo"
+          size="small"
+          flex="1"
+          minWidth="12rem"
+          value={draft.content}
+          onChange={(e) => onChange({ ...draft, content: e.target.value })}
+        />
+        <TextField
+          label="Due"
+          type="datetime-local"
+          size="small"
+          value={draft.dueAt}
+          onChange={(e) => onChange({ ...draft, dueAt: e.target.value })}
+        />
+        <SelectField
+          label="Priority"
+          size="small"
+          value={draft.priority}
+          onChange={(e) => onChange({ ...draft, priority: e.target.value as TodoPriority | "" })}
+        >
+          <option value="">None</option>
+          {TODO_PRIORITIES.map(priority => (
+            <option key={priority} value={priority}>
+              {priority}
+            </option>
+          ))}
+        </SelectField>
+        <TagInput tags={tags} value={draft.tags} onChange={(names) => onChange({ ...draft, tags: names })} />
+      </Flex>
+      <Flex direction="row" gap={tokens.space.xs} marginTop={tokens.space.small}>
+        <Button size="small" variation="primary" onClick={onAccept} isDisabled={!draft.content.trim()}>
+          Add todo
+        </Button>
+        <Button size="small" variation="link" onClick={onDiscard}>
+          Discard
+        </Button>
+      </Flex>
+    </View>
+  );
+}
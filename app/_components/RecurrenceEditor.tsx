@@ -0,0 +1,113 @@
+"use client";
+
+import { Flex, SelectField, TextField, ToggleButton, ToggleButtonGroup, useTheme } from "@aws-amplify/ui-react";
+import {
+  RecurrenceFrequency,
+  RecurrenceRule,
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+  WEEKDAY_RULE,
+  Weekday,
+  formatRecurrence,
+  isWeekdayRule,
+  parseRecurrence,
+} from "@/utils/recurrence";
+
+type RepeatOption = '' | RecurrenceFrequency | 'WEEKDAYS';
+
+type RecurrenceEditorProps = {
+  value: string | null | undefined;
+  onChange: (value: string | null) => void;
+  size?: 'small' | 'large';
+};
+
+// Unit shown after the interval input
+const INTERVAL_UNITS: Record<RecurrenceFrequency, string> = {
+  DAILY: 'day(s)',
+  WEEKLY: 'week(s)',
+  MONTHLY: 'month(s)',
+};
+
+export function RecurrenceEditor({ value, onChange, size = 'small' }: RecurrenceEditorProps) {
+  const { tokens } = useTheme();
+  const rule = parseRecurrence(value);
+  const option: RepeatOption = !rule ? '' : isWeekdayRule(rule) ? 'WEEKDAYS' : rule.freq;
+
+  function update(changes: Partial<RecurrenceRule>) {
+    if (rule) {
+      onChange(formatRecurrence({ ...rule, ...changes }));
+    }
+  }
+
+  // Start a new rule from the chosen preset
+  function changeOption(next: RepeatOption) {
+    if (next === '') {
+      onChange(null);
+    } else if (next === 'WEEKDAYS') {
+      onChange(formatRecurrence(WEEKDAY_RULE));
+    } else {
+      onChange(formatRecurrence({ freq: next, interval: rule?.interval ?? 1, byDay: [] }));
+    }
+  }
+
+  return (
+    <Flex direction="row" alignItems="flex-end" wrap="wrap" gap={tokens.space.xs}>
+      <SelectField
+        label="Repeat"
+        size={size}
+        value={option}
+        onChange={(e) => changeOption(e.target.value as RepeatOption)}
+      >
+        <option value="">Never</option>
+        <option value="DAILY">Daily</option>
+        <option value="WEEKDAYS">Every weekday</option>
+        <option value="WEEKLY">Weekly</option>
+        <option value="MONTHLY">Monthly</option>
+      </SelectField>
+
+      {rule && option !== 'WEEKDAYS' && (
+        <TextField
+          label={`Every … ${INTERVAL_UNITS[rule.freq]}`}
+          type="number"
+          size={size}
+          width="8rem"
+          min={1}
+          value={rule.interval}
+          onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+        />
+      )}
+
+      {rule?.freq === 'WEEKLY' && option !== 'WEEKDAYS' && (
+        <ToggleButtonGroup
+          size="small"
+          isExclusive={false}
+          value={rule.byDay}
+          onChange={(days) => update({ byDay: WEEKDAYS.filter(day => (days as Weekday[]).includes(day)) })}
+        >
+          {WEEKDAYS.map(day => (
+            <ToggleButton key={day} value={day}>
+              {WEEKDAY_LABELS[day]}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+
+      {rule?.freq === 'MONTHLY' && (
+        <TextField
+          label="On day"
+          type="number"
+          size={size}
+          width="6rem"
+          min={1}
+          max={31}
+          placeholder="Due day"
+          value={rule.byMonthDay ?? ''}
+          onChange={(e) => {
+            const day = Number(e.target.value);
+            update({ byMonthDay: day >= 1 && day <= 31 ? day : undefined });
+          }}
+        />
+      )}
+    </Flex>
+  );
+}
@@ -0,0 +1,40 @@
+"use client";
+
+import { Flex, Heading, Text, useTheme } from "@aws-amplify/ui-react";
+import { Overlay } from "./Overlay";
+
+// Every keyboard shortcut on the todo page, in the order they're listed
+export const KEYBOARD_SHORTCUTS: { keys: string; description: string }[] = [
+  { keys: 'Ctrl/Cmd + K', description: 'Open the command palette' },
+  { keys: 'n', description: 'New todo' },
+  { keys: 'j / k', description: 'Move focus to the next / previous todo' },
+  { keys: 'x', description: 'Complete or reopen the focused todo' },
+  { keys: 'e', description: 'Edit the focused todo (list layout only)' },
+  { keys: '#', description: 'Move the focused todo to the trash' },
+  { keys: 'Ctrl/Cmd + Z', description: 'Undo' },
+  { keys: 'Ctrl/Cmd + Shift + Z', description: 'Redo' },
+  { keys: '↑ / ↓ on a drag handle', description: 'Reorder a todo' },
+  { keys: '?', description: 'Show this help' },
+];
+
+type ShortcutsHelpProps = {
+  onClose: () => void;
+};
+
+export function ShortcutsHelp({ onClose }: ShortcutsHelpProps) {
+  const { tokens } = useTheme();
+
+  return (
+    <Overlay label="Keyboard shortcuts" onClose={onClose}>
+      <Heading level={4} marginBottom={tokens.space.small}>Keyboard shortcuts</Heading>
+      {KEYBOARD_SHORTCUTS.map(shortcut => (
+        <Flex key={shortcut.keys} direction="row" justifyContent="space-between" paddingBlock={tokens.space.xxs}>
+          <Text fontSize={tokens.fontSizes.small}>{shortcut.description}</Text>
+          <Text as="kbd" fontSize={tokens.fontSizes.small} fontFamily="monospace" color={tokens.colors.font.secondary}>
+            {shortcut.keys}
+          </Text>
+        </Flex>
+      ))}
+    </Overlay>
+  );
+}
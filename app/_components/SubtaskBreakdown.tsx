@@ -0,0 +1,142 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { useAIGeneration } from "@/app/client";
+import { Button, CheckboxField, Flex, Loader, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
+
+type Todo = Schema["Todo"]["type"];
+type Subtask = Schema["Subtask"]["type"];
+
+// A proposed step, as the user is picking and editing them
+type Proposal = {
+  title: string;
+  selected: boolean;
+};
+
+type SubtaskBreakdownProps = {
+  todo: Pick<Todo, 'content' | 'notes'>;
+  subtasks: Subtask[];
+  onCreate: (titles: string[]) => void;
+};
+
+// "Break this down": ask for steps for a todo and add the ones the user keeps as subtasks
+export function SubtaskBreakdown({ todo, subtasks, onCreate }: SubtaskBreakdownProps) {
+  const { tokens } = useTheme();
+  const [{ data, isLoading, hasError }, breakDownTodo] = useAIGeneration('breakDownTodo');
+  const [isRequested, setIsRequested] = useState(false);
+  const [proposals, setProposals] = useState<Proposal[] | null>(null);
+
+  const selectedTitles = (proposals ?? [])
+    .filter(proposal => proposal.selected)
+    .map(proposal => proposal.title.trim())
+    .filter(Boolean);
+
+  // Offer every new step, ticked, leaving out ones the todo already has
+  useEffect(() => {
+    if (!data || !isRequested) return;
+
+    const existing = new Set(subtasks.map(subtask => subtask.title.trim().toLowerCase()));
+    setProposals(data.subtasks
+      .map(title => title.trim())
+      .filter(title => title && !existing.has(title.toLowerCase()))
+      .map(title => ({ title, selected: true })));
+  }, [data]);
+
+  function requestBreakdown() {
+    setIsRequested(true);
+    setProposals(null);
+    breakDownTodo({
+      content: todo.content,
+      notes: todo.notes,
+      existingSubtasks: subtasks.map(subtask => subtask.title),
+    });
+  }
+
+  function updateProposal(index: number, changes: Partial<Proposal>) {
+    setProposals(current => current && current.map((proposal, i) => i === index ? { ...proposal, ...changes } : proposal));
+  }
+
+  function discard() {
+    setIsRequested(false);
+    setProposals(null);
+  }
+
+  function accept() {
+    if (selectedTitles.length === 0) return;
+    onCreate(selectedTitles);
+    discard();
+  }
+
+  if (!isRequested) {
+    return (
+      <Button size="small" variation="link" padding="0" marginLeft={tokens.space.large} onClick={requestBreakdown}>
+        Break this down
+      </Button>
+    );
+  }
+
+  return (
+    <View marginTop={tokens.space.xs} marginLeft={tokens.space.large}>
+      {isLoading && (
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs}>
+          <Loader />
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>Working out the steps…</Text>
+        </Flex>
+      )}
+      {hasError && !isLoading && (
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs}>
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.error}>
+            Couldn't suggest any steps.
+          </Text>
+          <Button size="small" variation="link" onClick={requestBreakdown}>
+            Try again
+          </Button>
+          <Button size="small" variation="link" onClick={discard}>
+            Cancel
+          </Button>
+        </Flex>
+      )}
+      {proposals && !isLoading && (
+        <>
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+            {proposals.length > 0 ? 'Suggested steps; untick or edit any before adding them:' : 'No new steps to suggest.'}
+          </Text>
+          {proposals.map((proposal, index) => (
+            <Flex key={index} direction="row" alignItems="center" gap={tokens.space.xxs} marginTop={tokens.space.xxxs}>
+              <CheckboxField
+                label="Include this step"
+                labelHidden
+                name={`proposed-subtask-${index}`}
+                value={String(index)}
+                checked={proposal.selected}
+                onChange={(e) => updateProposal(index, { selected: e.target.checked })}
+              />
+              <TextField
+                label="Step"
+                labelHidden
+                size="small"
+                flex="1"
+                value={proposal.title}
+                onChange={(e) => updateProposal(index, { title: e.target.value })}
+              />
+            </Flex>
+          ))}
+          <Flex direction="row" gap={tokens.space.xs} marginTop={tokens.space.xs}>
+            {proposals.length > 0 && (
+              <Button size="small" variation="primary" onClick={accept} isDisabled={selectedTitles.length === 0}>
+                {selectedTitles.length === 1 ? 'Add 1 step' : `Add ${selectedTitles.length} steps`}
+              </Button>
+            )}
+            <Button size="small" onClick={requestBreakdown}>
+              Suggest again
+            </Button>
+            <Button size="small" variation="link" onClick={discard}>
+              {proposals.length > 0 ? 'Discard' : 'Close'}
+            </Button>
+          </Flex>
+        </>
+      )}
+    </View>
+  );
+}
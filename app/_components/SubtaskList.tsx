@@ -0,0 +1,98 @@
+"use client";
+
+import { useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { Button, CheckboxField, Flex, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
+
+type Subtask = Schema["Subtask"]["type"];
+
+export type SubtaskActions = {
+  onAdd: (todoId: string, title: string) => void;
+  // Add several steps at once, after the existing ones
+  onAddMany: (todoId: string, titles: string[]) => void;
+  onToggle: (subtask: Subtask) => void;
+  onMove: (subtask: Subtask, direction: -1 | 1) => void;
+  onDelete: (subtask: Subtask) => void;
+};
+
+type SubtaskListProps = {
+  todoId: string;
+  subtasks: Subtask[];
+  actions: SubtaskActions;
+};
+
+export function SubtaskList({ todoId, subtasks, actions }: SubtaskListProps) {
+  const [newSubtask, setNewSubtask] = useState("");
+  const { tokens } = useTheme();
+
+  // Add a subtask from the form input
+  function handleAdd(e: React.FormEvent) {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+
+    actions.onAdd(todoId, newSubtask.trim());
+    setNewSubtask("");
+  }
+
+  return (
+    <View marginTop={tokens.space.xs} marginLeft={tokens.space.large}>
+      {subtasks.map((subtask, index) => (
+        <Flex key={subtask.id} direction="row" alignItems="center" gap={tokens.space.xxs}>
+          <CheckboxField
+            label=""
+            name={`subtask-${subtask.id}`}
+            value={subtask.id}
+            checked={subtask.completed === true}
+            onChange={() => actions.onToggle(subtask)}
+          />
+          <Text
+            flex="1"
+            fontSize={tokens.fontSizes.small}
+            textDecoration={subtask.completed ? "line-through" : "none"}
+            color={subtask.completed ? tokens.colors.font.tertiary : tokens.colors.font.primary}
+          >
+            {subtask.title}
+          </Text>
+          <Button
+            size="small"
+            variation="link"
+            isDisabled={index === 0}
+            onClick={() => actions.onMove(subtask, -1)}
+            aria-label="Move subtask up"
+          >
+            ↑
+          </Button>
+          <Button
+            size="small"
+            variation="link"
+            isDisabled={index === subtasks.length - 1}
+            onClick={() => actions.onMove(subtask, 1)}
+            aria-label="Move subtask down"
+          >
+            ↓
+          </Button>
+          <Button size="small" variation="link" onClick={() => actions.onDelete(subtask)}>
+            Remove
+          </Button>
+        </Flex>
+      ))}
+
+      <form onSubmit={handleAdd}>
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginTop={tokens.space.xxs}>
+          <TextField
+            label="New Subtask"
+            labelHidden
+            size="small"
+            placeholder="Add a step"
+            value={newSubtask}
+            onChange={(e) => setNewSubtask(e.target.value)}
+            flex="1"
+          />
+          <Button type="submit" size="small">
+            Add
+          </Button>
+        </Flex>
+      </form>
+    </View>
+  );
+}
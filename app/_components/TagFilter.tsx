@@ -0,0 +1,48 @@
+"use client";
+
+import { Schema } from "@/amplify/data/resource";
+import { Button, Flex, Text, useTheme } from "@aws-amplify/ui-react";
+
+type Tag = Schema["Tag"]["type"];
+
+type TagFilterProps = {
+  tags: Tag[];
+  selectedTagIds: string[];
+  onChange: (tagIds: string[]) => void;
+};
+
+export function TagFilter({ tags, selectedTagIds, onChange }: TagFilterProps) {
+  const { tokens } = useTheme();
+
+  if (tags.length === 0) {
+    return null;
+  }
+
+  // Add or remove a tag from the active filter
+  function toggleTag(id: string) {
+    onChange(selectedTagIds.includes(id)
+      ? selectedTagIds.filter(tagId => tagId !== id)
+      : [...selectedTagIds, id]);
+  }
+
+  return (
+    <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.xs} marginTop={tokens.space.small}>
+      <Text fontSize={tokens.fontSizes.xs}>Filter by tag:</Text>
+      {tags.map(tag => (
+        <Button
+          key={tag.id}
+          size="small"
+          variation={selectedTagIds.includes(tag.id) ? "primary" : undefined}
+          onClick={() => toggleTag(tag.id)}
+        >
+          #{tag.name}
+        </Button>
+      ))}
+      {selectedTagIds.length > 0 && (
+        <Button size="small" variation="link" onClick={() => onChange([])}>
+          Clear
+        </Button>
+      )}
+    </Flex>
+  );
+}
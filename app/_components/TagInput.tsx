@@ -0,0 +1,73 @@
+"use client";
+
+import { useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { Autocomplete, Badge, Button, Flex, useTheme } from "@aws-amplify/ui-react";
+
+type Tag = Schema["Tag"]["type"];
+
+type TagInputProps = {
+  tags: Tag[];
+  value: string[];
+  onChange: (names: string[]) => void;
+};
+
+/**
+ * Normalize a tag name so "#Ops " and "ops" refer to the same tag
+ */
+export function normalizeTagName(name: string) {
+  return name.trim().replace(/^#/, '').toLowerCase();
+}
+
+export function TagInput({ tags, value, onChange }: TagInputProps) {
+  const [query, setQuery] = useState("");
+  const { tokens } = useTheme();
+
+  // Offer existing tags that aren't already selected
+  const options = tags
+    .filter(tag => !value.includes(tag.name))
+    .map(tag => ({ id: tag.id, label: tag.name }));
+
+  // Add a tag name to the selection
+  function addTag(name: string) {
+    const normalized = normalizeTagName(name);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setQuery("");
+  }
+
+  return (
+    <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.xs}>
+      {value.map(name => (
+        <Badge key={name} size="small">
+          #{name}
+          <Button
+            size="small"
+            variation="link"
+            padding="0"
+            marginLeft={tokens.space.xxs}
+            onClick={() => onChange(value.filter(n => n !== name))}
+            aria-label={`Remove tag ${name}`}
+          >
+            ×
+          </Button>
+        </Badge>
+      ))}
+      <Autocomplete
+        label="Tags"
+        labelHidden
+        size="small"
+        placeholder="Add tags"
+        options={options}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onClear={() => setQuery("")}
+        onSelect={(option) => addTag(option.label)}
+        onSubmit={(name) => addTag(name)}
+        hasSearchButton={false}
+        hasSearchIcon={false}
+      />
+    </Flex>
+  );
+}
@@ -0,0 +1,182 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { client, useAIGeneration } from "@/app/client";
+import { Badge, Button, Card, Flex, Heading, Loader, Text, View, useTheme } from "@aws-amplify/ui-react";
+import { DEFAULT_PAGE_SIZE, listAllPages } from "@/utils/pagination";
+import { toDayKey } from "@/utils/calendar";
+import { formatEstimate, getDigestTodos } from "@/utils/dailyDigest";
+import { Markdown } from "./Markdown";
+import { PRIORITY_VARIATIONS } from "./TodoItem";
+
+type DailyDigest = Schema["DailyDigest"]["type"];
+type DailyPlan = Schema["DailyPlan"]["type"];
+
+// Today's plan: made once a day from the user's todos and kept, unless they ask for a new one
+export function TodayPlan() {
+  const { tokens } = useTheme();
+  const [{ data: generatedPlan, isLoading: isGenerating, hasError: generationFailed }, planDay] = useAIGeneration('planDay');
+  const [digest, setDigest] = useState<DailyDigest | null>(null);
+  // A plan that couldn't be saved, shown in place of the saved one until a save goes through
+  const [unsavedPlan, setUnsavedPlan] = useState<{ plan: DailyPlan; updatedAt: string } | null>(null);
+  const [date] = useState(() => toDayKey(new Date()));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const plan = unsavedPlan?.plan ?? digest?.plan;
+  const plannedAt = unsavedPlan?.updatedAt ?? digest?.updatedAt;
+  const totalMinutes = (plan?.items ?? []).reduce((total, item) => total + (item.estimateMinutes ?? 0), 0);
+
+  // Load today's plan, making it if this is the first visit of the day
+  useEffect(() => {
+    async function loadDigest() {
+      try {
+        const digests = await listAllPages((nextToken) =>
+          client.models.DailyDigest.list({ filter: { date: { eq: date } }, nextToken })
+        );
+        if (digests.length > 0) {
+          // Two tabs may have made one at the same time; keep the latest
+          setDigest(digests.sort((a, b) => (b.updatedAt ?? '').localeCompare(a.updatedAt ?? ''))[0]);
+        } else {
+          await generatePlan();
+        }
+      } catch (err) {
+        console.error("Error loading today's plan:", err);
+        setError("Failed to load today's plan. It needs a signed-in account.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadDigest();
+  }, []);
+
+  // Keep a newly made plan so it isn't made again today
+  useEffect(() => {
+    if (generatedPlan) {
+      saveDigest(generatedPlan);
+    }
+  }, [generatedPlan]);
+
+  async function generatePlan() {
+    setError(null);
+    try {
+      const limit = DEFAULT_PAGE_SIZE;
+      const todos = await listAllPages((nextToken) => client.models.Todo.list({ limit, nextToken }));
+      planDay({
+        date,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        todos: JSON.stringify(getDigestTodos(todos)),
+      });
+    } catch (err) {
+      console.error('Error loading todos to plan:', err);
+      setError("Couldn't load your todos to plan the day. Please try again.");
+    }
+  }
+
+  async function saveDigest(newPlan: DailyPlan) {
+    const now = new Date().toISOString();
+    try {
+      const { data, errors } = digest
+        ? await client.models.DailyDigest.update({ id: digest.id, plan: newPlan, updatedAt: now })
+        : await client.models.DailyDigest.create({ date, plan: newPlan, createdAt: now, updatedAt: now });
+      if (errors?.length || !data) {
+        throw new Error(errors?.[0]?.message ?? 'The backend did not return the saved plan');
+      }
+      setDigest(data);
+      setUnsavedPlan(null);
+    } catch (err) {
+      // Still show the plan; it just gets made again on the next visit
+      console.error("Error saving today's plan:", err);
+      setUnsavedPlan({ plan: newPlan, updatedAt: now });
+    }
+  }
+
+  if (loading) {
+    return <Loader variation="linear" />;
+  }
+
+  return (
+    <View>
+      <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.small} marginBottom={tokens.space.small}>
+        <Text flex="1" color={tokens.colors.font.secondary}>
+          {new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+          {plannedAt && ` · planned at ${new Date(plannedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`}
+        </Text>
+        <Button size="small" onClick={generatePlan} isDisabled={isGenerating}>
+          {plan ? 'Plan again' : 'Plan my day'}
+        </Button>
+      </Flex>
+
+      {error && (
+        <Text color={tokens.colors.font.error} marginBottom={tokens.space.small}>
+          {error}
+        </Text>
+      )}
+      {generationFailed && !isGenerating && (
+        <Text color={tokens.colors.font.error} marginBottom={tokens.space.small}>
+          Couldn't make a plan for today. Please try again.
+        </Text>
+      )}
+      {isGenerating && (
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginBottom={tokens.space.small}>
+          <Loader />
+          <Text color={tokens.colors.font.secondary}>Planning your day…</Text>
+        </Flex>
+      )}
+
+      {plan && (
+        <>
+          <Card variation="outlined" marginBottom={tokens.space.medium}>
+            <Markdown>{plan.summary}</Markdown>
+          </Card>
+
+          <Flex direction="row" alignItems="baseline" gap={tokens.space.small} marginBottom={tokens.space.xs}>
+            <Heading level={4}>Suggested for today</Heading>
+            {totalMinutes > 0 && (
+              <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+                about {formatEstimate(totalMinutes)} in all
+              </Text>
+            )}
+          </Flex>
+          {plan.items.length === 0 ? (
+            <Text color={tokens.colors.font.tertiary}>Nothing needs doing today.</Text>
+          ) : (
+            plan.items.map((item, index) => (
+              <Flex
+                key={item.todoId ?? index}
+                direction="row"
+                alignItems="baseline"
+                gap={tokens.space.small}
+                padding={tokens.space.xs}
+                borderRadius={tokens.radii.small}
+                backgroundColor={index % 2 === 0 ? tokens.colors.background.secondary : undefined}
+              >
+                <Text fontWeight="bold" color={tokens.colors.font.secondary}>{index + 1}.</Text>
+                <View flex="1">
+                  <Markdown inline>{item.content}</Markdown>
+                  {item.reason && (
+                    <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+                      {item.reason}
+                    </Text>
+                  )}
+                </View>
+                {item.priority && (
+                  <Badge size="small" variation={PRIORITY_VARIATIONS[item.priority]}>
+                    {item.priority}
+                  </Badge>
+                )}
+                {item.estimateMinutes != null && item.estimateMinutes > 0 && (
+                  <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary} whiteSpace="nowrap">
+                    {formatEstimate(item.estimateMinutes)}
+                  </Text>
+                )}
+              </Flex>
+            ))
+          )}
+        </>
+      )}
+    </View>
+  );
+}
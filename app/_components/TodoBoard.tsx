@@ -0,0 +1,188 @@
+"use client";
+
+import { useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { Badge, Button, Flex, Heading, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
+import { formatDueAt } from "@/utils/todoDates";
+import { compareTodoPositions } from "@/utils/todoOrder";
+import { TODO_STATUSES, TODO_STATUS_LABELS, TodoStatus, WipLimits, getTodoStatus, hasWipRoom } from "@/utils/todoStatus";
+import { PRIORITY_VARIATIONS } from "./TodoItem";
+import { Markdown } from "./Markdown";
+
+type Todo = Schema["Todo"]["type"];
+
+type TodoBoardProps = {
+  todos: Todo[];
+  wipLimits: WipLimits;
+  onChangeWipLimit: (status: TodoStatus, limit: number | null) => void;
+  // Put a todo at `toIndex` of a column, given the column's todos before the move
+  onMove: (todo: Todo, status: TodoStatus, columnTodos: Todo[], toIndex: number) => void;
+  focusedTodoId: string | null;
+  onFocus: (todoId: string) => void;
+};
+
+type DropTarget = { status: TodoStatus; index: number };
+
+export function TodoBoard({ todos, wipLimits, onChangeWipLimit, onMove, focusedTodoId, onFocus }: TodoBoardProps) {
+  const { tokens } = useTheme();
+  const [draggedTodoId, setDraggedTodoId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<DropTarget | null>(null);
+
+  const columns = Object.fromEntries(TODO_STATUSES.map(status => [
+    status,
+    todos.filter(todo => getTodoStatus(todo) === status).sort(compareTodoPositions),
+  ])) as Record<TodoStatus, Todo[]>;
+  const draggedTodo = todos.find(todo => todo.id === draggedTodoId);
+
+  // A todo can always move within its column, but only into another one with room
+  function canDropInto(status: TodoStatus) {
+    if (!draggedTodo) return false;
+    return getTodoStatus(draggedTodo) === status || hasWipRoom(wipLimits, status, columns[status].length);
+  }
+
+  function moveTo(todo: Todo, status: TodoStatus, index: number) {
+    if (getTodoStatus(todo) !== status && !hasWipRoom(wipLimits, status, columns[status].length)) return;
+    onMove(todo, status, columns[status], index);
+  }
+
+  function endDrag() {
+    setDraggedTodoId(null);
+    setDropTarget(null);
+  }
+
+  function handleDragOver(e: React.DragEvent, status: TodoStatus, index: number) {
+    // Leaving the event alone tells the browser a drop isn't allowed here
+    if (!canDropInto(status)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (dropTarget?.status !== status || dropTarget.index !== index) {
+      setDropTarget({ status, index });
+    }
+  }
+
+  function handleDrop(e: React.DragEvent) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggedTodo && dropTarget) {
+      moveTo(draggedTodo, dropTarget.status, dropTarget.index);
+    }
+    endDrag();
+  }
+
+  return (
+    <Flex direction="row" gap={tokens.space.small} marginTop={tokens.space.medium} style={{ overflowX: 'auto' }}>
+      {TODO_STATUSES.map((status, columnIndex) => {
+        const columnTodos = columns[status];
+        const limit = wipLimits[status];
+        const isFull = limit !== undefined && columnTodos.length >= limit;
+
+        return (
+          <View
+            key={status}
+            flex="1"
+            minWidth="14rem"
+            padding={tokens.space.xs}
+            backgroundColor={tokens.colors.background.tertiary}
+            borderRadius={tokens.radii.medium}
+            borderStyle="solid"
+            borderWidth="2px"
+            borderColor={dropTarget?.status === status ? tokens.colors.border.focus : "transparent"}
+            onDragOver={(e: React.DragEvent) => handleDragOver(e, status, columnTodos.length)}
+            onDrop={handleDrop}
+          >
+            <Flex direction="row" alignItems="center" justifyContent="space-between" marginBottom={tokens.space.xs}>
+              <Heading level={6}>
+                {TODO_STATUS_LABELS[status]}{' '}
+                <Text as="span" color={isFull ? tokens.colors.font.error : tokens.colors.font.secondary}>
+                  {limit === undefined ? columnTodos.length : `${columnTodos.length}/${limit}`}
+                </Text>
+              </Heading>
+              <TextField
+                label={`${TODO_STATUS_LABELS[status]} limit`}
+                labelHidden
+                type="number"
+                size="small"
+                width="5rem"
+                min={1}
+                placeholder="No limit"
+                title="Most todos this column should hold"
+                value={limit ?? ''}
+                onChange={(e) => onChangeWipLimit(status, Number(e.target.value) >= 1 ? Number(e.target.value) : null)}
+              />
+            </Flex>
+
+            {columnTodos.map((todo, index) => (
+              <View
+                key={todo.id}
+                onClick={() => onFocus(todo.id)}
+                style={todo.id === focusedTodoId ? { outline: `2px solid ${tokens.colors.border.focus}` } : undefined}
+                padding={tokens.space.xs}
+                marginBottom={tokens.space.xs}
+                backgroundColor={tokens.colors.background.primary}
+                borderRadius={tokens.radii.small}
+                opacity={draggedTodoId === todo.id ? 0.6 : 1}
+                borderStyle="solid"
+                borderWidth="2px 0 0 0"
+                borderColor={dropTarget?.status === status && dropTarget.index === index ? tokens.colors.border.focus : "transparent"}
+                draggable
+                onDragStart={(e: React.DragEvent) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  // Firefox won't start a drag without some data
+                  e.dataTransfer.setData('text/plain', todo.id);
+                  setDraggedTodoId(todo.id);
+                }}
+                onDragOver={(e: React.DragEvent) => handleDragOver(e, status, index)}
+                onDrop={handleDrop}
+                onDragEnd={endDrag}
+              >
+                <Text>
+                  <Markdown inline>{todo.content}</Markdown>
+                </Text>
+                <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginTop={tokens.space.xxs}>
+                  {todo.priority && (
+                    <Badge size="small" variation={PRIORITY_VARIATIONS[todo.priority]}>
+                      {todo.priority}
+                    </Badge>
+                  )}
+                  {todo.dueAt && (
+                    <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary}>
+                      Due {formatDueAt(todo.dueAt)}
+                    </Text>
+                  )}
+                  <View flex="1" />
+                  {/* Buttons for moving without a mouse */}
+                  <Button
+                    size="small"
+                    variation="link"
+                    padding="0"
+                    aria-label={`Move to ${TODO_STATUS_LABELS[TODO_STATUSES[columnIndex - 1]] ?? ''}`}
+                    isDisabled={columnIndex === 0}
+                    onClick={() => moveTo(todo, TODO_STATUSES[columnIndex - 1], 0)}
+                  >
+                    ‹
+                  </Button>
+                  <Button
+                    size="small"
+                    variation="link"
+                    padding="0"
+                    aria-label={`Move to ${TODO_STATUS_LABELS[TODO_STATUSES[columnIndex + 1]] ?? ''}`}
+                    isDisabled={columnIndex === TODO_STATUSES.length - 1}
+                    onClick={() => moveTo(todo, TODO_STATUSES[columnIndex + 1], 0)}
+                  >
+                    ›
+                  </Button>
+                </Flex>
+              </View>
+            ))}
+
+            {columnTodos.length === 0 && (
+              <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.tertiary}>
+                Nothing here
+              </Text>
+            )}
+          </View>
+        );
+      })}
+    </Flex>
+  );
+}
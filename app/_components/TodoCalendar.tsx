@@ -0,0 +1,263 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { client } from "@/app/client";
+import { Schema } from "@/amplify/data/resource";
+import { Button, Flex, Grid, Heading, Loader, Text, ToggleButton, ToggleButtonGroup, View, useTheme } from "@aws-amplify/ui-react";
+import { DEFAULT_PAGE_SIZE, listAllPages } from "@/utils/pagination";
+import { CalendarMode, formatCalendarTitle, getCalendarDays, moveToDay, shiftAnchor, toDayKey } from "@/utils/calendar";
+import { LOCAL_TODOS_STORAGE_KEY, updateStoredTodo } from "@/utils/todoOutbox";
+import { getRescheduleChanges } from "@/utils/todoDates";
+import { getIsLocal, getLocalStorage } from "@/utils/environment";
+import { Markdown } from "./Markdown";
+
+type Todo = Schema["Todo"]["type"];
+
+// The day a todo is dropped on, or null for the undated tray
+type DropTarget = string | null;
+
+export function TodoCalendar() {
+  const { tokens } = useTheme();
+  const [todos, setTodos] = useState<Todo[]>([]);
+  const [isLocalMode, setIsLocalMode] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [mode, setMode] = useState<CalendarMode>('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [draggedTodoId, setDraggedTodoId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<DropTarget | undefined>(undefined);
+
+  const activeTodos = todos.filter(todo => !todo.deletedAt);
+  const undatedTodos = activeTodos.filter(todo => !todo.dueAt && !todo.completed);
+  const days = getCalendarDays(anchor, mode);
+  const todayKey = toDayKey(new Date());
+
+  // Todos by the local day they're due, earliest first
+  const todosByDay: Record<string, Todo[]> = {};
+  activeTodos
+    .filter(todo => todo.dueAt)
+    .sort((a, b) => a.dueAt!.localeCompare(b.dueAt!))
+    .forEach(todo => {
+      const key = toDayKey(new Date(todo.dueAt!));
+      (todosByDay[key] ??= []).push(todo);
+    });
+
+  // Load todos from the backend, falling back to the local copy when developing offline
+  useEffect(() => {
+    let subscription: { unsubscribe: () => void } | undefined;
+
+    async function loadTodos() {
+      try {
+        const limit = DEFAULT_PAGE_SIZE;
+        setTodos(await listAllPages((nextToken) => client.models.Todo.list({ limit, nextToken })));
+        subscription = client.models.Todo.observeQuery().subscribe({
+          next: ({ items }) => setTodos([...items]),
+          error: (err) => console.error('Todo subscription error:', err),
+        });
+      } catch (err) {
+        console.error('Error connecting to backend:', err);
+        if (getIsLocal()) {
+          setIsLocalMode(true);
+          setTodos(JSON.parse(getLocalStorage()?.getItem(LOCAL_TODOS_STORAGE_KEY) ?? '[]'));
+        } else {
+          setError('Failed to connect to backend. Please try again later.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadTodos();
+    return () => subscription?.unsubscribe();
+  }, []);
+
+  // Move a todo to another day, or take its due date away
+  async function rescheduleTodo(todo: Todo, day: Date | null) {
+    const dueAt = day ? moveToDay(todo.dueAt, day).toISOString() : null;
+    if (dueAt === (todo.dueAt ?? null)) return;
+
+    const changes = { ...getRescheduleChanges(todo, dueAt), updatedAt: new Date().toISOString() };
+
+    const storage = getLocalStorage();
+    if (isLocalMode && storage) {
+      // Save locally and queue the change for when the backend is reachable
+      setTodos(updateStoredTodo(storage, todo.id, changes));
+      return;
+    }
+
+    // Move it right away and put it back if the backend rejects the change
+    setError(null);
+    setTodos(current => current.map(t => t.id === todo.id ? { ...t, ...changes } : t));
+    try {
+      const { errors } = await client.models.Todo.update({ id: todo.id, ...changes });
+      if (errors?.length) {
+        throw new Error(errors[0].message);
+      }
+    } catch (err) {
+      console.error("Error rescheduling todo:", err);
+      setTodos(current => current.map(t => t.id === todo.id ? todo : t));
+      setError(`Couldn't reschedule "${todo.content}". Please try again.`);
+    }
+  }
+
+  function endDrag() {
+    setDraggedTodoId(null);
+    setDropTarget(undefined);
+  }
+
+  // Drag and drop handlers for a day cell, or the tray when `day` is null
+  function getDropHandlers(day: Date | null) {
+    const key = day ? toDayKey(day) : null;
+    return {
+      onDragOver: (e: React.DragEvent) => {
+        if (!draggedTodoId) return;
+        e.preventDefault();
+        if (dropTarget !== key) setDropTarget(key);
+      },
+      onDrop: (e: React.DragEvent) => {
+        e.preventDefault();
+        const todo = todos.find(t => t.id === draggedTodoId);
+        if (todo) {
+          rescheduleTodo(todo, day);
+        }
+        endDrag();
+      },
+    };
+  }
+
+  function renderTodo(todo: Todo, showTime: boolean) {
+    return (
+      <View
+        key={todo.id}
+        padding={`${tokens.space.xxxs} ${tokens.space.xxs}`}
+        marginBottom={tokens.space.xxxs}
+        backgroundColor={tokens.colors.background.secondary}
+        borderRadius={tokens.radii.small}
+        fontSize={tokens.fontSizes.xs}
+        opacity={draggedTodoId === todo.id ? 0.6 : 1}
+        style={{ cursor: 'grab', textDecoration: todo.completed ? 'line-through' : undefined }}
+        title={todo.content}
+        draggable
+        onDragStart={(e: React.DragEvent) => {
+          e.dataTransfer.effectAllowed = 'move';
+          // Firefox won't start a drag without some data
+          e.dataTransfer.setData('text/plain', todo.id);
+          setDraggedTodoId(todo.id);
+        }}
+        onDragEnd={endDrag}
+      >
+        {showTime && todo.dueAt && (
+          <Text as="span" color={tokens.colors.font.secondary}>
+            {new Date(todo.dueAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}{' '}
+          </Text>
+        )}
+        <Markdown inline>{todo.content}</Markdown>
+      </View>
+    );
+  }
+
+  if (loading) {
+    return <Loader variation="linear" />;
+  }
+
+  return (
+    <View>
+      <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.small} marginBottom={tokens.space.small}>
+        <Button size="small" onClick={() => setAnchor(shiftAnchor(anchor, mode, -1))} aria-label={`Previous ${mode}`}>
+          ‹
+        </Button>
+        <Button size="small" onClick={() => setAnchor(new Date())}>
+          Today
+        </Button>
+        <Button size="small" onClick={() => setAnchor(shiftAnchor(anchor, mode, 1))} aria-label={`Next ${mode}`}>
+          ›
+        </Button>
+        <Heading level={4} flex="1">
+          {formatCalendarTitle(anchor, mode)}
+        </Heading>
+        <ToggleButtonGroup
+          size="small"
+          isExclusive
+          isSelectionRequired
+          value={mode}
+          onChange={(value) => setMode(value as CalendarMode)}
+        >
+          <ToggleButton value="month">Month</ToggleButton>
+          <ToggleButton value="week">Week</ToggleButton>
+        </ToggleButtonGroup>
+      </Flex>
+
+      {error && (
+        <Text color={tokens.colors.font.error} marginBottom={tokens.space.small}>
+          {error}
+        </Text>
+      )}
+      {isLocalMode && (
+        <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary} marginBottom={tokens.space.small}>
+          Working offline; changes sync when the backend is reachable.
+        </Text>
+      )}
+
+      <Flex direction="row" alignItems="flex-start" gap={tokens.space.medium}>
+        <Grid flex="1" templateColumns="repeat(7, minmax(0, 1fr))" gap={tokens.space.xxxs}>
+          {days.slice(0, 7).map(day => (
+            <Text key={`heading-${toDayKey(day)}`} fontSize={tokens.fontSizes.small} fontWeight="bold" textAlign="center">
+              {day.toLocaleDateString(undefined, { weekday: 'short' })}
+            </Text>
+          ))}
+          {days.map(day => {
+            const key = toDayKey(day);
+            const isOutsideMonth = mode === 'month' && day.getMonth() !== anchor.getMonth();
+            return (
+              <View
+                key={key}
+                minHeight={mode === 'week' ? '20rem' : '6rem'}
+                padding={tokens.space.xxs}
+                backgroundColor={isOutsideMonth ? tokens.colors.background.tertiary : tokens.colors.background.primary}
+                borderRadius={tokens.radii.small}
+                borderStyle="solid"
+                borderWidth="2px"
+                borderColor={dropTarget === key ? tokens.colors.border.focus : tokens.colors.border.secondary}
+                {...getDropHandlers(day)}
+              >
+                <Text
+                  fontSize={tokens.fontSizes.xs}
+                  fontWeight={key === todayKey ? 'bold' : 'normal'}
+                  color={key === todayKey ? tokens.colors.font.info : tokens.colors.font.secondary}
+                >
+                  {day.getDate()}
+                </Text>
+                {(todosByDay[key] ?? []).map(todo => renderTodo(todo, mode === 'week'))}
+              </View>
+            );
+          })}
+        </Grid>
+
+        <View
+          width="14rem"
+          padding={tokens.space.xs}
+          backgroundColor={tokens.colors.background.tertiary}
+          borderRadius={tokens.radii.medium}
+          borderStyle="solid"
+          borderWidth="2px"
+          borderColor={dropTarget === null ? tokens.colors.border.focus : "transparent"}
+          {...getDropHandlers(null)}
+        >
+          <Heading level={6} marginBottom={tokens.space.xs}>
+            No due date ({undatedTodos.length})
+          </Heading>
+          {undatedTodos.length === 0 ? (
+            <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.tertiary}>
+              Everything open has a date.
+            </Text>
+          ) : (
+            undatedTodos.map(todo => renderTodo(todo, false))
+          )}
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginTop={tokens.space.xs}>
+            Drag a todo onto a day to schedule it, or here to clear its date.
+          </Text>
+        </View>
+      </Flex>
+    </View>
+  );
+}
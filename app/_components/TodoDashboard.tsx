@@ -0,0 +1,147 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { client } from "@/app/client";
+import { Card, Flex, Grid, Heading, Loader, SelectField, Text, ToggleButton, ToggleButtonGroup, View, useTheme } from "@aws-amplify/ui-react";
+import { DEFAULT_STATS_DAYS, TodoStatsResult, computeTodoStats } from "@/utils/todoStats";
+import { getIsLocal, getLocalStorage } from "@/utils/environment";
+import { LOCAL_TODOS_STORAGE_KEY } from "@/utils/todoOutbox";
+import { ActivityChart } from "./ActivityChart";
+
+type Period = 'day' | 'week';
+
+// Ranges offered for the charts, in days
+const STATS_RANGES = [7, DEFAULT_STATS_DAYS, 90, 365];
+
+// A day key (YYYY-MM-DD) as a short date, e.g. "Mar 9"
+function formatDay(date: string) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Hours as the largest sensible unit, e.g. "3.5 days"
+function formatDuration(hours: number) {
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} hours`;
+  return `${(hours / 24).toFixed(1)} days`;
+}
+
+export function TodoDashboard() {
+  const { tokens } = useTheme();
+  const [stats, setStats] = useState<TodoStatsResult | null>(null);
+  const [days, setDays] = useState(DEFAULT_STATS_DAYS);
+  const [period, setPeriod] = useState<Period>('day');
+  const [isLocalMode, setIsLocalMode] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch the statistics whenever the range changes
+  useEffect(() => {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let isCurrent = true;
+
+    async function loadStats() {
+      setLoading(true);
+      try {
+        const { data, errors } = await client.queries.todoStats({ days, timeZone });
+        if (errors?.length || !data) {
+          throw new Error(errors?.[0]?.message ?? 'The backend did not return any statistics');
+        }
+        if (isCurrent) {
+          setStats(data as TodoStatsResult);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error loading statistics:', err);
+        if (!isCurrent) return;
+        if (getIsLocal()) {
+          // Work them out from the local copy instead
+          setIsLocalMode(true);
+          setStats(computeTodoStats(JSON.parse(getLocalStorage()?.getItem(LOCAL_TODOS_STORAGE_KEY) ?? '[]'), { days, timeZone }));
+        } else {
+          setError('Failed to load statistics. Please try again later.');
+        }
+      } finally {
+        if (isCurrent) setLoading(false);
+      }
+    }
+
+    loadStats();
+    return () => {
+      isCurrent = false;
+    };
+  }, [days]);
+
+  if (!stats) {
+    return loading ? <Loader variation="linear" /> : <Text color={tokens.colors.font.error}>{error}</Text>;
+  }
+
+  const summary = [
+    { label: 'Open', value: String(stats.openCount) },
+    { label: 'Overdue', value: String(stats.overdueCount), isWarning: stats.overdueCount > 0 },
+    { label: 'Completed', value: String(stats.completedCount) },
+    {
+      label: 'Average time to complete',
+      value: stats.averageHoursToComplete === null ? '—' : formatDuration(stats.averageHoursToComplete),
+    },
+    { label: 'Current streak', value: `${stats.currentStreak} day${stats.currentStreak === 1 ? '' : 's'}` },
+    { label: 'Longest streak', value: `${stats.longestStreak} day${stats.longestStreak === 1 ? '' : 's'}` },
+  ];
+  const activity = period === 'day' ? stats.days : stats.weeks;
+
+  return (
+    <View>
+      {error && <Text color={tokens.colors.font.error}>{error}</Text>}
+      {isLocalMode && (
+        <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary} marginBottom={tokens.space.small}>
+          Working offline; these figures come from the todos on this device.
+        </Text>
+      )}
+
+      <Grid templateColumns="repeat(auto-fill, minmax(10rem, 1fr))" gap={tokens.space.small}>
+        {summary.map(item => (
+          <Card key={item.label} variation="outlined">
+            <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.secondary}>
+              {item.label}
+            </Text>
+            <Text fontSize={tokens.fontSizes.xl} color={item.isWarning ? tokens.colors.font.warning : undefined}>
+              {item.value}
+            </Text>
+          </Card>
+        ))}
+      </Grid>
+
+      <Card variation="outlined" marginTop={tokens.space.medium}>
+        <Flex direction="row" alignItems="flex-end" justifyContent="space-between" wrap="wrap" marginBottom={tokens.space.small}>
+          <Heading level={5}>Created vs completed</Heading>
+          <Flex direction="row" alignItems="flex-end" gap={tokens.space.small}>
+            {loading && <Loader />}
+            <ToggleButtonGroup
+              size="small"
+              isExclusive
+              isSelectionRequired
+              value={period}
+              onChange={(value) => setPeriod(value as Period)}
+            >
+              <ToggleButton value="day">Daily</ToggleButton>
+              <ToggleButton value="week">Weekly</ToggleButton>
+            </ToggleButtonGroup>
+            <SelectField
+              label="Range"
+              labelHidden
+              size="small"
+              value={String(days)}
+              onChange={(e) => setDays(Number(e.target.value))}
+            >
+              {STATS_RANGES.map(range => (
+                <option key={range} value={range}>
+                  Last {range} days
+                </option>
+              ))}
+            </SelectField>
+          </Flex>
+        </Flex>
+        <ActivityChart activity={activity} formatLabel={formatDay} />
+      </Card>
+    </View>
+  );
+}
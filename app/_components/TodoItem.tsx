@@ -0,0 +1,406 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Schema } from "@/amplify/data/resource";
+import { Badge, Button, CheckboxField, Flex, SelectField, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
+import { TODO_PRIORITIES, TodoPriority, formatDueAt } from "@/utils/todoDates";
+import { describeRecurrence, parseRecurrence } from "@/utils/recurrence";
+import { TODO_STATUSES, TODO_STATUS_LABELS, TodoStatus, getStatusChanges, getTodoStatus } from "@/utils/todoStatus";
+import type { TodoChanges } from "@/utils/todoHistory";
+import { SubtaskActions, SubtaskList } from "./SubtaskList";
+import { SubtaskBreakdown } from "./SubtaskBreakdown";
+import { RecurrenceEditor } from "./RecurrenceEditor";
+import { Markdown } from "./Markdown";
+import { NotesEditor } from "./NotesEditor";
+import { DateTimeField } from "./DateTimeField";
+
+type Todo = Schema["Todo"]["type"];
+type Subtask = Schema["Subtask"]["type"];
+type Tag = Schema["Tag"]["type"];
+
+// A mutation on this todo that the backend rejected
+export type TodoFailure = {
+  message: string;
+  onRetry: () => void;
+  // Given when the todo can't stay without the mutation, e.g. an unsaved create
+  onDiscard?: () => void;
+};
+
+// Hand-ordering hooks for a todo, only given while the list is in manual order
+export type TodoReorder = {
+  onMove: (direction: -1 | 1) => void;
+  onDragStart: () => void;
+  onDragOver: () => void;
+  onDrop: () => void;
+  onDragEnd: () => void;
+  isDragging: boolean;
+  isDropTarget: boolean;
+};
+
+type TodoItemProps = {
+  todo: Todo;
+  subtasks: Subtask[];
+  subtaskActions: SubtaskActions;
+  tags: Tag[];
+  onTagClick: (tag: Tag) => void;
+  onToggle: (todo: Todo) => void;
+  onUpdate: (todo: Todo, changes: TodoChanges) => void;
+  onDelete: (todo: Todo) => void;
+  isPending?: boolean;
+  failure?: TodoFailure;
+  onDismissFailure: () => void;
+  reorder?: TodoReorder;
+  isSelected: boolean;
+  // Called with whether shift was held, to select a range
+  onSelect: (extendRange: boolean) => void;
+  // The todo keyboard shortcuts act on
+  isFocused: boolean;
+  onFocus: () => void;
+  // Set by the edit shortcut; the item opens its editor and reports back
+  isEditRequested: boolean;
+  onEditRequestHandled: () => void;
+};
+
+/**
+ * Check todo text against the schema's required `content` rule
+ */
+export function validateTodoContent(content: string) {
+  return content.trim() ? null : 'A todo needs some text.';
+}
+
+// Badge styling for each priority level
+export const PRIORITY_VARIATIONS: Record<TodoPriority, 'info' | 'warning' | 'error' | undefined> = {
+  low: undefined,
+  medium: 'info',
+  high: 'warning',
+  urgent: 'error',
+};
+
+export function TodoItem({
+  todo,
+  subtasks,
+  subtaskActions,
+  tags,
+  onTagClick,
+  onToggle,
+  onUpdate,
+  onDelete,
+  isPending = false,
+  failure,
+  onDismissFailure,
+  reorder,
+  isSelected,
+  onSelect,
+  isFocused,
+  onFocus,
+  isEditRequested,
+  onEditRequestHandled,
+}: TodoItemProps) {
+  const [showDetails, setShowDetails] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftContent, setDraftContent] = useState("");
+  const [editError, setEditError] = useState<string | null>(null);
+  const rowRef = useRef<HTMLDivElement>(null);
+  const { tokens } = useTheme();
+
+  const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+  const recurrence = parseRecurrence(todo.recurrence);
+  const status = getTodoStatus(todo);
+  // A todo that isn't saved yet can't be edited until the create goes through
+  const isUnsaved = isPending || failure?.onDiscard !== undefined;
+
+  // Switch the content to an input prefilled with the current text
+  function startEditing() {
+    if (isUnsaved) return;
+    setDraftContent(todo.content);
+    setEditError(null);
+    setIsEditing(true);
+  }
+
+  // Save the edited content if it's valid and actually changed
+  function saveEdit() {
+    const validationError = validateTodoContent(draftContent);
+    if (validationError) {
+      setEditError(validationError);
+      return;
+    }
+
+    const content = draftContent.trim();
+    if (content !== todo.content) {
+      onUpdate(todo, { content });
+    }
+    setIsEditing(false);
+  }
+
+  // Keep the focused todo on screen as it moves through the list
+  useEffect(() => {
+    if (isFocused) {
+      rowRef.current?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isFocused]);
+
+  useEffect(() => {
+    if (isEditRequested) {
+      startEditing();
+      onEditRequestHandled();
+    }
+  }, [isEditRequested]);
+
+  // Move the todo with the arrow keys while its drag handle has focus
+  function handleReorderKeyDown(e: React.KeyboardEvent<HTMLButtonElement>) {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      reorder?.onMove(e.key === 'ArrowUp' ? -1 : 1);
+    }
+  }
+
+  function handleEditKeyDown(e: React.KeyboardEvent<HTMLInputElement>) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setIsEditing(false);
+    }
+  }
+
+  return (
+    <View
+      ref={rowRef}
+      onClick={onFocus}
+      style={isFocused ? { outline: `2px solid ${tokens.colors.border.focus}` } : undefined}
+      padding={tokens.space.small}
+      backgroundColor={tokens.colors.background.secondary}
+      marginBottom={tokens.space.xs}
+      borderRadius={tokens.radii.small}
+      opacity={isPending || reorder?.isDragging ? 0.6 : 1}
+      borderStyle="solid"
+      borderWidth="2px 0 0 0"
+      borderColor={reorder?.isDropTarget ? tokens.colors.border.focus : "transparent"}
+      draggable={reorder !== undefined && !isUnsaved && !isEditing}
+      onDragStart={(e: React.DragEvent) => {
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox won't start a drag without some data
+        e.dataTransfer.setData('text/plain', todo.id);
+        reorder?.onDragStart();
+      }}
+      onDragOver={(e: React.DragEvent) => {
+        if (!reorder) return;
+        e.preventDefault();
+        reorder.onDragOver();
+      }}
+      onDrop={(e: React.DragEvent) => {
+        e.preventDefault();
+        reorder?.onDrop();
+      }}
+      onDragEnd={() => reorder?.onDragEnd()}
+    >
+      <Flex direction="row" alignItems="center">
+        {reorder && (
+          <Button
+            size="small"
+            variation="link"
+            padding="0"
+            style={{ cursor: 'grab' }}
+            isDisabled={isUnsaved}
+            onKeyDown={handleReorderKeyDown}
+            aria-label={`Reorder ${todo.content}`}
+            title="Drag to reorder, or focus and use the arrow keys"
+          >
+            ⠿
+          </Button>
+        )}
+        <CheckboxField
+          label={`Select ${todo.content}`}
+          labelHidden
+          name={`select-${todo.id}`}
+          value={todo.id}
+          checked={isSelected}
+          isDisabled={isUnsaved}
+          marginRight={tokens.space.small}
+          onClick={(e: React.MouseEvent<HTMLInputElement>) => onSelect(e.shiftKey)}
+        />
+        <CheckboxField
+          label=""
+          name={`todo-${todo.id}`}
+          value={todo.id}
+          checked={todo.completed === true}
+          isDisabled={isUnsaved}
+          onChange={() => onToggle(todo)}
+        />
+        {isEditing ? (
+          <TextField
+            label="Todo"
+            labelHidden
+            size="small"
+            flex="1"
+            marginLeft={tokens.space.xs}
+            value={draftContent}
+            autoFocus
+            hasError={editError !== null}
+            errorMessage={editError}
+            onChange={(e) => {
+              setDraftContent(e.target.value);
+              setEditError(null);
+            }}
+            onKeyDown={handleEditKeyDown}
+          />
+        ) : (
+          <Text
+            flex="1"
+            marginLeft={tokens.space.xs}
+            textDecoration={todo.completed ? "line-through" : "none"}
+            color={todo.completed ? tokens.colors.font.tertiary : tokens.colors.font.primary}
+            onDoubleClick={startEditing}
+            title="Double-click to edit"
+          >
+            <Markdown inline>{todo.content}</Markdown>
+          </Text>
+        )}
+        {tags.map(tag => (
+          <Button
+            key={tag.id}
+            size="small"
+            variation="link"
+            padding="0"
+            marginRight={tokens.space.xs}
+            onClick={() => onTagClick(tag)}
+          >
+            #{tag.name}
+          </Button>
+        ))}
+        {todo.priority && (
+          <Badge size="small" variation={PRIORITY_VARIATIONS[todo.priority]}>
+            {todo.priority}
+          </Badge>
+        )}
+        {status !== 'todo' && status !== 'done' && (
+          <Badge size="small" marginLeft={tokens.space.xs}>
+            {TODO_STATUS_LABELS[status]}
+          </Badge>
+        )}
+        {todo.dueAt && (
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginLeft={tokens.space.xs}>
+            Due {formatDueAt(todo.dueAt)}
+          </Text>
+        )}
+        {todo.notes && !showDetails && (
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginLeft={tokens.space.xs} title="Has notes">
+            ≡
+          </Text>
+        )}
+        {recurrence && (
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginLeft={tokens.space.xs}>
+            ↻ {describeRecurrence(recurrence)}
+          </Text>
+        )}
+        {isEditing ? (
+          <>
+            <Button size="small" variation="link" onClick={saveEdit}>
+              Save
+            </Button>
+            <Button size="small" variation="link" onClick={() => setIsEditing(false)}>
+              Cancel
+            </Button>
+          </>
+        ) : (
+          <Button size="small" variation="link" isDisabled={isUnsaved} onClick={startEditing}>
+            Edit
+          </Button>
+        )}
+        <Button
+          size="small"
+          variation="link"
+          isDisabled={isUnsaved}
+          onClick={() => setShowSubtasks(!showSubtasks)}
+        >
+          {subtasks.length > 0 ? `Steps ${completedSubtasks}/${subtasks.length}` : 'Steps'}
+        </Button>
+        <Button
+          size="small"
+          variation="link"
+          isDisabled={isUnsaved}
+          onClick={() => setShowDetails(!showDetails)}
+        >
+          {showDetails ? 'Hide details' : 'Details'}
+        </Button>
+        <Button
+          size="small"
+          variation="link"
+          isDisabled={isUnsaved}
+          onClick={() => onDelete(todo)}
+        >
+          Delete
+        </Button>
+      </Flex>
+
+      {isEditing && draftContent.trim() && draftContent !== todo.content && (
+        <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginTop={tokens.space.xxs}>
+          Preview: <Markdown inline>{draftContent}</Markdown>
+        </Text>
+      )}
+
+      {failure && (
+        <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginTop={tokens.space.xxs}>
+          <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.error}>
+            {failure.message}
+          </Text>
+          <Button size="small" variation="link" onClick={failure.onRetry}>
+            Retry
+          </Button>
+          <Button size="small" variation="link" onClick={failure.onDiscard ?? onDismissFailure}>
+            {failure.onDiscard ? 'Discard' : 'Dismiss'}
+          </Button>
+        </Flex>
+      )}
+
+      {showDetails && (
+        <Flex direction="row" wrap="wrap" gap={tokens.space.small} marginTop={tokens.space.xs}>
+          <DateTimeField label="Due" value={todo.dueAt} onSave={(dueAt) => onUpdate(todo, { dueAt })} />
+          <SelectField
+            label="Status"
+            size="small"
+            value={status}
+            onChange={(e) => onUpdate(todo, getStatusChanges(e.target.value as TodoStatus))}
+          >
+            {TODO_STATUSES.map(option => (
+              <option key={option} value={option}>
+                {TODO_STATUS_LABELS[option]}
+              </option>
+            ))}
+          </SelectField>
+          <SelectField
+            label="Priority"
+            size="small"
+            value={todo.priority ?? ''}
+            onChange={(e) => onUpdate(todo, { priority: (e.target.value || null) as TodoPriority | null })}
+          >
+            <option value="">None</option>
+            {TODO_PRIORITIES.map(priority => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </SelectField>
+          <DateTimeField label="Remind me" value={todo.remindAt} onSave={(remindAt) => onUpdate(todo, { remindAt })} />
+          <RecurrenceEditor value={todo.recurrence} onChange={(value) => onUpdate(todo, { recurrence: value })} />
+        </Flex>
+      )}
+      {showDetails && (
+        <NotesEditor notes={todo.notes} onSave={(notes) => onUpdate(todo, { notes })} />
+      )}
+
+      {showSubtasks && (
+        <>
+          <SubtaskList todoId={todo.id} subtasks={subtasks} actions={subtaskActions} />
+          <SubtaskBreakdown
+            todo={todo}
+            subtasks={subtasks}
+            onCreate={(titles) => subtaskActions.onAddMany(todo.id, titles)}
+          />
+        </>
+      )}
+    </View>
+  );
+}
@@ -1,36 +1,246 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { client } from "@/app/client";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { usePathname, useRouter, useSearchParams } from "next/navigation";
+import { client, useAIGeneration } from "@/app/client";
+import { CONNECTION_STATE_CHANGE, ConnectionState } from "aws-amplify/api";
+import { Hub } from "aws-amplify/utils";
 import { Schema } from "@/amplify/data/resource";
-import { Button, Flex, Heading, Text, TextField, CheckboxField, View, useTheme } from "@aws-amplify/ui-react";
+import { Badge, Button, Flex, Heading, Loader, SelectField, SwitchField, Text, TextField, View, useTheme } from "@aws-amplify/ui-react";
 import { useAuth } from "./LocalAuthProvider";
+import { ProjectSelector } from "./ProjectSelector";
+import { TodoFailure, TodoItem, TodoReorder } from "./TodoItem";
+import { SubtaskActions } from "./SubtaskList";
+import { TagInput } from "./TagInput";
+import { TagFilter } from "./TagFilter";
+import { TodoToolbar } from "./TodoToolbar";
+import { BulkActionsBar } from "./BulkActionsBar";
+import { TrashList } from "./TrashList";
+import { UndoToast } from "./UndoToast";
+import { CommandPalette, PaletteCommand } from "./CommandPalette";
+import { ShortcutsHelp } from "./ShortcutsHelp";
+import { TodoBoard } from "./TodoBoard";
+import { RecurrenceEditor } from "./RecurrenceEditor";
+import { QuickAddDraft, QuickAddPreview, toQuickAddDraft } from "./QuickAddPreview";
+import {
+  DUE_GROUP_LABELS,
+  DUE_GROUP_ORDER,
+  TODO_PRIORITIES,
+  TodoPriority,
+  fromDateTimeInputValue,
+  groupTodosByDue,
+} from "@/utils/todoDates";
+import { DEFAULT_PAGE_SIZE, listAllPages } from "@/utils/pagination";
+import { getMovePositions, getTopPosition } from "@/utils/todoOrder";
+import { chunkBulkTodos } from "@/utils/bulkActions";
+import { isTrashExpired } from "@/utils/trash";
+import { isTypingTarget } from "@/utils/keyboard";
+import { getIsLocal, getLocalStorage } from "@/utils/environment";
+import { getNextSchedule, parseRecurrence } from "@/utils/recurrence";
+import { TODO_STATUS_LABELS, TodoStatus, WipLimits, getCompletionChanges, getStatusChanges, getTodoStatus, hasWipRoom } from "@/utils/todoStatus";
+import { HistoryEntry, TodoChangeRecord, TodoChanges, pushHistory, recordChange, remapHistoryIds } from "@/utils/todoHistory";
+import {
+  TODO_SORT_LABELS,
+  TodoSort,
+  TodoView,
+  matchesTodoView,
+  parseTodoView,
+  sortTodos,
+  toTodoViewParams,
+} from "@/utils/todoView";
+import {
+  NewOutboxEntry,
+  LOCAL_TODOS_STORAGE_KEY,
+  OUTBOX_STORAGE_KEY,
+  OutboxEntry,
+  OutboxTarget,
+  createOutboxEntry,
+  hasReplayableEntries,
+  replayOutbox,
+} from "@/utils/todoOutbox";
 
 type Todo = Schema["Todo"]["type"];
+type Project = Schema["Project"]["type"];
+type Subtask = Schema["Subtask"]["type"];
+type Tag = Schema["Tag"]["type"];
+type TodoTag = Schema["TodoTag"]["type"];
 
-// Safely access localStorage
-const getLocalStorage = () => {
-  if (typeof window !== 'undefined') {
-    return window.localStorage;
-  }
-  return null;
+// Delay before resubscribing after a subscription error
+const RESUBSCRIBE_DELAY_MS = 5 * 1000;
+
+type BulkTodoAction = Schema["BulkTodoAction"]["type"];
+
+// What a new todo is created with, from the form or an accepted quick-add
+type NewTodoFields = {
+  content: string;
+  dueAt: string | null;
+  priority: TodoPriority | null;
+  recurrence: string | null;
+  tags: string[];
+};
+
+// State of the live subscription in connected mode
+type SyncStatus = 'connecting' | 'live' | 'offline';
+
+const SYNC_STATUS_BADGES: Record<SyncStatus, { label: string; variation: 'info' | 'success' | 'warning' }> = {
+  connecting: { label: 'Syncing…', variation: 'info' },
+  live: { label: 'Live', variation: 'success' },
+  offline: { label: 'Offline', variation: 'warning' },
 };
 
-// Function to check if we're in a local environment
-const getIsLocal = () => {
-  return typeof window !== 'undefined' && window.location.hostname === 'localhost';
+// Page sizes offered for the rendered list
+const LIST_PAGE_SIZES = [10, 25, 50, 100];
+
+// Delete a project in the backend, first moving its todos out of it; stops
+// before the delete if any of them can't be moved
+async function deleteBackendProject(id: string, updatedAt: string) {
+  const projectTodos = await listAllPages((nextToken) => client.models.Todo.list({ filter: { projectId: { eq: id } }, nextToken }));
+  const results = await Promise.all(
+    projectTodos.map(todo => client.models.Todo.update({ id: todo.id, projectId: null, updatedAt }))
+  );
+  const errors = results.flatMap(({ errors }) => errors ?? []);
+  if (errors.length) throw new Error(errors[0].message);
+
+  const { errors: deleteErrors } = await client.models.Project.delete({ id });
+  if (deleteErrors?.length) throw new Error(deleteErrors[0].message);
+}
+
+// Outbox replay target backed by the signed-in user's GraphQL client
+const outboxTarget: OutboxTarget = {
+  create: async (fields) => {
+    const { data, errors } = await client.models.Todo.create(fields);
+    if (errors?.length) throw new Error(errors[0].message);
+    return data;
+  },
+  update: async (id, fields) => {
+    const { errors } = await client.models.Todo.update({ id, ...fields });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  // Through the bulk mutation so the purge is recorded for the sync scripts
+  delete: async (id) => {
+    const { errors } = await client.mutations.bulkUpdateTodos({ action: 'delete', todoIds: [id] });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  createSubtask: async (fields) => {
+    const { data, errors } = await client.models.Subtask.create(fields);
+    if (errors?.length) throw new Error(errors[0].message);
+    return data;
+  },
+  updateSubtask: async (id, fields) => {
+    const { errors } = await client.models.Subtask.update({ id, ...fields });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  deleteSubtask: async (id) => {
+    const { errors } = await client.models.Subtask.delete({ id });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  // The tag may only exist locally, so it's looked up by name and created if missing
+  createTodoTag: async (todoId, tagName) => {
+    const [existingTag] = await listAllPages((nextToken) => client.models.Tag.list({ filter: { name: { eq: tagName } }, nextToken }));
+    let tagId = existingTag?.id;
+    if (!tagId) {
+      const { data: createdTag, errors } = await client.models.Tag.create({ name: tagName });
+      if (errors?.length || !createdTag) throw new Error(errors?.[0]?.message ?? 'The backend did not return the created tag');
+      tagId = createdTag.id;
+    }
+    const { data, errors } = await client.models.TodoTag.create({ todoId, tagId });
+    if (errors?.length) throw new Error(errors[0].message);
+    return data;
+  },
+  deleteTodoTag: async (id) => {
+    const { errors } = await client.models.TodoTag.delete({ id });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  createProject: async (fields) => {
+    const { data, errors } = await client.models.Project.create(fields);
+    if (errors?.length) throw new Error(errors[0].message);
+    return data;
+  },
+  updateProject: async (id, fields) => {
+    const { errors } = await client.models.Project.update({ id, ...fields });
+    if (errors?.length) throw new Error(errors[0].message);
+  },
+  deleteProject: (id) => deleteBackendProject(id, new Date().toISOString()),
 };
 
-export function TodoList() {
+// How often to check for reminders that have come due
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+
+// How long the undo toast stays up after a destructive change
+const UNDO_TOAST_DURATION_MS = 6 * 1000;
+
+// How the todos are laid out: a list grouped by due date, or a board of status columns
+export type TodoLayout = 'list' | 'board';
+
+export function TodoList({ layout = 'list' }: { layout?: TodoLayout }) {
   const [todos, setTodos] = useState<Todo[]>([]);
   const [localTodos, setLocalTodos] = useState<Todo[]>([]);
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [localProjects, setLocalProjects] = useState<Project[]>([]);
+  const [selectedProjectId, setSelectedProjectId] = useState<string | null>(null);
+  const [subtasks, setSubtasks] = useState<Subtask[]>([]);
+  const [localSubtasks, setLocalSubtasks] = useState<Subtask[]>([]);
+  const [autoCompleteParents, setAutoCompleteParents] = useState(true);
+  const [wipLimits, setWipLimits] = useState<WipLimits>({});
+  const [tags, setTags] = useState<Tag[]>([]);
+  const [localTags, setLocalTags] = useState<Tag[]>([]);
+  const [todoTags, setTodoTags] = useState<TodoTag[]>([]);
+  const [localTodoTags, setLocalTodoTags] = useState<TodoTag[]>([]);
+  const [newTags, setNewTags] = useState<string[]>([]);
+  const [pageSize, setPageSize] = useState(LIST_PAGE_SIZES[1]);
+  const [visibleCount, setVisibleCount] = useState(LIST_PAGE_SIZES[1]);
+  const loadMoreRef = useRef<HTMLDivElement>(null);
+  const [draggedTodoId, setDraggedTodoId] = useState<string | null>(null);
+  const [dropTargetId, setDropTargetId] = useState<string | null>(null);
+  const [selectedTodoIds, setSelectedTodoIds] = useState<Set<string>>(new Set());
+  // The last todo clicked in the selection column, where a shift-click range starts
+  const selectionAnchorId = useRef<string | null>(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [undoStack, setUndoStack] = useState<HistoryEntry[]>([]);
+  const [redoStack, setRedoStack] = useState<HistoryEntry[]>([]);
+  const [undoToast, setUndoToast] = useState<string | null>(null);
+  const [focusedTodoId, setFocusedTodoId] = useState<string | null>(null);
+  const [editRequestedId, setEditRequestedId] = useState<string | null>(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const newTodoInputRef = useRef<HTMLInputElement>(null);
+  // Latest key handler for the shortcut listener, so it always sees current state
+  const shortcutHandler = useRef<(e: KeyboardEvent) => void>(() => {});
+  // Latest handler for the reconnect listeners, so it knows whether the backend was reachable
+  const reconnectHandler = useRef<() => void>(() => {});
   const [newTodo, setNewTodo] = useState("");
+  const [newDueAt, setNewDueAt] = useState("");
+  const [newPriority, setNewPriority] = useState<TodoPriority | "">("");
+  const [newRecurrence, setNewRecurrence] = useState<string | null>(null);
+  const [{ data: parsedTodo, isLoading: isParsing, hasError: parseFailed }, parseTodo] = useAIGeneration('parseTodo');
+  // The text sent to quick-add, until its todo is added or discarded
+  const [quickAddText, setQuickAddText] = useState<string | null>(null);
+  const [quickAddDraft, setQuickAddDraft] = useState<QuickAddDraft | null>(null);
+  const [dueReminders, setDueReminders] = useState<Todo[]>([]);
+  const notifiedReminderIds = useRef(new Set<string>());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [syncStatus, setSyncStatus] = useState<SyncStatus>('connecting');
+  const [resubscribeKey, setResubscribeKey] = useState(0);
+  const [pendingTodoIds, setPendingTodoIds] = useState<Set<string>>(new Set());
+  const [todoFailures, setTodoFailures] = useState<Record<string, TodoFailure>>({});
+  // Optimistically created todos the backend hasn't confirmed yet, keyed by temporary id
+  const unconfirmedTodos = useRef(new Map<string, Todo>());
+  const [outbox, setOutbox] = useState<OutboxEntry[]>([]);
+  const [outboxLoaded, setOutboxLoaded] = useState(false);
+  // Whether the local copy has been read from localStorage, so saving it can't overwrite it with empty lists
+  const [localDataLoaded, setLocalDataLoaded] = useState(false);
+  const isReplaying = useRef(false);
   const [isLocal, setIsLocal] = useState(false);
   const [isMounted, setIsMounted] = useState(false);
   const { tokens } = useTheme();
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const view = parseTodoView(searchParams);
+  const viewKey = searchParams.toString();
+  const tagFilter = view.tagIds;
 
   // Get auth context if in local mode
   let auth: any = null;
@@ -47,8 +257,69 @@ export function TodoList() {
     setIsMounted(true);
   }, []);
 
-  // Determine which todos to display
-  const displayTodos = isLocal && !isConnected ? localTodos : todos;
+  // Determine which todos and projects to display
+  const isLocalMode = isLocal && !isConnected;
+  const storedTodos = isLocalMode ? localTodos : todos;
+  // Todos in the trash keep their record until they're purged, but drop out of everything else
+  const allTodos = storedTodos.filter(todo => !todo.deletedAt);
+  const trashedTodos = storedTodos.filter(todo => todo.deletedAt);
+  const displayProjects = isLocalMode ? localProjects : projects;
+  const allSubtasks = isLocalMode ? localSubtasks : subtasks;
+  const allTags = isLocalMode ? localTags : tags;
+  const allTodoTags = isLocalMode ? localTodoTags : todoTags;
+
+  // Get the tags attached to a todo
+  function getTodoTags(todoId: string) {
+    const tagIds = new Set(allTodoTags.filter(link => link.todoId === todoId).map(link => link.tagId));
+    return allTags.filter(tag => tagIds.has(tag.id));
+  }
+
+  // Only show todos carrying every tag in the filter
+  function matchesTagFilter(todoId: string) {
+    if (tagFilter.length === 0) return true;
+    const tagIds = new Set(allTodoTags.filter(link => link.todoId === todoId).map(link => link.tagId));
+    return tagFilter.every(tagId => tagIds.has(tagId));
+  }
+
+  const displayTodos = sortTodos(allTodos.filter(todo =>
+    (!selectedProjectId || todo.projectId === selectedProjectId)
+    && matchesTagFilter(todo.id)
+    && matchesTodoView(todo, view)
+  ), view.sort);
+  // Render the todos group by group, one page at a time
+  const allGroupedTodos = groupTodosByDue(displayTodos);
+  const orderedTodos = DUE_GROUP_ORDER.flatMap(group => allGroupedTodos[group]);
+  const groupedTodos = groupTodosByDue(orderedTodos.slice(0, visibleCount));
+  const hasMoreTodos = orderedTodos.length > visibleCount;
+  // Rendered todos in the order they're shown
+  const visibleTodos = showTrash ? [] : layout === 'board' ? displayTodos : orderedTodos.slice(0, visibleCount);
+  const focusedTodo = visibleTodos.find(todo => todo.id === focusedTodoId);
+  // Todos that can be picked for bulk actions
+  const selectableTodos = visibleTodos.filter(todo => isSelectable(todo.id));
+  const selectedTodos = allTodos.filter(todo => selectedTodoIds.has(todo.id));
+
+  // Update the search, filters or sort by replacing the URL query string
+  const updateView = useCallback((changes: Partial<TodoView>) => {
+    const params = toTodoViewParams({ ...parseTodoView(searchParams), ...changes });
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  }, [router, pathname, searchParams]);
+
+  function setTagFilter(tagIds: string[]) {
+    updateView({ tagIds });
+  }
+
+  // Show one more page of todos
+  function loadMoreTodos() {
+    setVisibleCount(count => count + pageSize);
+  }
+
+  // Get the subtasks of a todo in display order
+  function getSubtasks(todoId: string) {
+    return allSubtasks
+      .filter(subtask => subtask.todoId === todoId)
+      .sort((a, b) => a.position - b.position);
+  }
 
   // Load local todos from localStorage
   useEffect(() => {
@@ -56,7 +327,7 @@ export function TodoList() {
       const storage = getLocalStorage();
       if (!storage) return;
 
-      const storedTodos = storage.getItem('localTodos');
+      const storedTodos = storage.getItem(LOCAL_TODOS_STORAGE_KEY);
       if (storedTodos) {
         try {
           setLocalTodos(JSON.parse(storedTodos));
@@ -64,132 +335,1529 @@ export function TodoList() {
           console.error('Error parsing stored todos:', err);
         }
       }
+
+      const storedProjects = storage.getItem('localProjects');
+      if (storedProjects) {
+        try {
+          setLocalProjects(JSON.parse(storedProjects));
+        } catch (err) {
+          console.error('Error parsing stored projects:', err);
+        }
+      }
+
+      const storedSubtasks = storage.getItem('localSubtasks');
+      if (storedSubtasks) {
+        try {
+          setLocalSubtasks(JSON.parse(storedSubtasks));
+        } catch (err) {
+          console.error('Error parsing stored subtasks:', err);
+        }
+      }
+
+      const storedTags = storage.getItem('localTags');
+      if (storedTags) {
+        try {
+          setLocalTags(JSON.parse(storedTags));
+        } catch (err) {
+          console.error('Error parsing stored tags:', err);
+        }
+      }
+
+      const storedTodoTags = storage.getItem('localTodoTags');
+      if (storedTodoTags) {
+        try {
+          setLocalTodoTags(JSON.parse(storedTodoTags));
+        } catch (err) {
+          console.error('Error parsing stored tag links:', err);
+        }
+      }
+
+      setLocalDataLoaded(true);
     }
   }, [isLocal, isMounted]);
 
-  // Save local todos to localStorage when they change
+  // Load mutations queued while disconnected
   useEffect(() => {
-    if (isLocal && isMounted && localTodos.length > 0) {
-      const storage = getLocalStorage();
-      if (!storage) return;
+    if (!isMounted) return;
+    const storage = getLocalStorage();
+    if (!storage) return;
 
-      storage.setItem('localTodos', JSON.stringify(localTodos));
+    const storedOutbox = storage.getItem(OUTBOX_STORAGE_KEY);
+    if (storedOutbox) {
+      try {
+        setOutbox(JSON.parse(storedOutbox));
+      } catch (err) {
+        console.error('Error parsing stored outbox:', err);
+      }
     }
-  }, [localTodos, isLocal, isMounted]);
+    setOutboxLoaded(true);
+  }, [isMounted]);
 
-  // Try to connect to the backend and fetch todos
+  // Save the outbox to localStorage when it changes
+  useEffect(() => {
+    if (!outboxLoaded) return;
+    getLocalStorage()?.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+  }, [outbox, outboxLoaded]);
+
+  // Replay queued mutations once the backend is reachable again
+  useEffect(() => {
+    if (!isMounted || !isConnected || isReplaying.current) return;
+    if (!hasReplayableEntries(outbox)) return;
+
+    replayQueuedMutations(outbox);
+  }, [isMounted, isConnected, outbox]);
+
+  // Load the subtask auto-complete preference
   useEffect(() => {
-    // Only run this effect if the component is mounted
     if (!isMounted) return;
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    const storedPreference = storage.getItem('autoCompleteParents');
+    if (storedPreference !== null) {
+      setAutoCompleteParents(storedPreference === 'true');
+    }
+  }, [isMounted]);
 
-    async function checkConnectionAndFetchTodos() {
+  // Load the board's column limits
+  useEffect(() => {
+    if (!isMounted) return;
+    const storedLimits = getLocalStorage()?.getItem('wipLimits');
+    if (storedLimits) {
       try {
-        // Check if we can connect to the backend
-        const { data } = await client.models.Todo.list();
-        setTodos(data);
-        setIsConnected(true);
-        setError(null);
-        console.log('Connected to backend successfully');
+        setWipLimits(JSON.parse(storedLimits));
       } catch (err) {
-        console.error('Error connecting to backend:', err);
-        setIsConnected(false);
-        if (isLocal) {
-          // In local mode, we'll use localStorage instead
-          console.log('Using local storage for todos');
-        } else {
-          setError('Failed to connect to backend. Please try again later.');
-        }
-      } finally {
-        setLoading(false);
+        console.error('Error parsing stored WIP limits:', err);
       }
     }
+  }, [isMounted]);
+
+  // Save local todos to localStorage when they change
+  useEffect(() => {
+    if (!isLocal || !localDataLoaded) return;
+    getLocalStorage()?.setItem(LOCAL_TODOS_STORAGE_KEY, JSON.stringify(localTodos));
+  }, [localTodos, isLocal, localDataLoaded]);
+
+  // Save local projects to localStorage when they change
+  useEffect(() => {
+    if (!isLocal || !localDataLoaded) return;
+    getLocalStorage()?.setItem('localProjects', JSON.stringify(localProjects));
+  }, [localProjects, isLocal, localDataLoaded]);
+
+  // Save local subtasks to localStorage when they change
+  useEffect(() => {
+    if (!isLocal || !localDataLoaded) return;
+    getLocalStorage()?.setItem('localSubtasks', JSON.stringify(localSubtasks));
+  }, [localSubtasks, isLocal, localDataLoaded]);
+
+  // Save local tags and their todo links to localStorage when they change
+  useEffect(() => {
+    if (!isLocal || !localDataLoaded) return;
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    storage.setItem('localTags', JSON.stringify(localTags));
+    storage.setItem('localTodoTags', JSON.stringify(localTodoTags));
+  }, [localTags, localTodoTags, isLocal, localDataLoaded]);
+
+  // Try to connect to the backend and fetch todos
+  useEffect(() => {
+    // Only run this effect if the component is mounted
+    if (!isMounted) return;
 
     checkConnectionAndFetchTodos();
   }, [isMounted, isLocal]);
 
-  // Create a new todo
+  // Keep todos in sync with the backend through a live subscription
+  useEffect(() => {
+    if (!isMounted || !isConnected) return;
+
+    let retryTimeout: ReturnType<typeof setTimeout> | undefined;
+    setSyncStatus('connecting');
+
+    const subscription = client.models.Todo.observeQuery().subscribe({
+      next: ({ items, isSynced }) => {
+        setTodos([...Array.from(unconfirmedTodos.current.values()), ...items]);
+        setSyncStatus(isSynced ? 'live' : 'connecting');
+      },
+      error: (err) => {
+        console.error('Todo subscription error:', err);
+        setSyncStatus('offline');
+        // Retry while online; otherwise the 'online' listener below resubscribes
+        if (navigator.onLine) {
+          retryTimeout = setTimeout(() => setResubscribeKey(key => key + 1), RESUBSCRIBE_DELAY_MS);
+        }
+      },
+    });
+
+    return () => {
+      clearTimeout(retryTimeout);
+      subscription.unsubscribe();
+    };
+  }, [isMounted, isConnected, resubscribeKey]);
+
+  // After network loss, resubscribe so missed changes are picked up, or check the backend again if it was unreachable
+  useEffect(() => {
+    if (!isMounted) return;
+
+    let wasDisrupted = false;
+    const stopListening = Hub.listen('api', ({ payload }) => {
+      if (payload.event !== CONNECTION_STATE_CHANGE) return;
+
+      const { connectionState } = payload.data as { connectionState: ConnectionState };
+      if (
+        connectionState === ConnectionState.ConnectionDisrupted ||
+        connectionState === ConnectionState.ConnectionDisruptedPendingNetwork
+      ) {
+        wasDisrupted = true;
+        setSyncStatus('offline');
+      } else if (connectionState === ConnectionState.Connected && wasDisrupted) {
+        wasDisrupted = false;
+        reconnectHandler.current();
+      }
+    });
+
+    const handleOnline = () => reconnectHandler.current();
+    const handleOffline = () => setSyncStatus('offline');
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      stopListening();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [isMounted]);
+
+  // Start from the first page whenever the filters or page size change
+  useEffect(() => {
+    setVisibleCount(pageSize);
+  }, [selectedProjectId, viewKey, pageSize]);
+
+  // Don't let bulk actions reach todos the new filters have hidden
+  useEffect(() => {
+    setSelectedTodoIds(new Set());
+    selectionAnchorId.current = null;
+  }, [selectedProjectId, viewKey]);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreTodos) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreTodos();
+      }
+    });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [hasMoreTodos, visibleCount]);
+
+  // Listen for keyboard shortcuts anywhere on the page
+  useEffect(() => {
+    function handleKeyDown(e: KeyboardEvent) {
+      shortcutHandler.current(e);
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Hide the undo toast after a while
+  useEffect(() => {
+    if (!undoToast) return;
+
+    const timeout = setTimeout(() => setUndoToast(null), UNDO_TOAST_DURATION_MS);
+    return () => clearTimeout(timeout);
+  }, [undoToast]);
+
+  // Purge todos that have been in the trash longer than the retention period
+  useEffect(() => {
+    if (!isMounted || loading) return;
+
+    const expired = trashedTodos.filter(todo => isTrashExpired(todo));
+    if (expired.length > 0) {
+      applyBulkAction('delete', expired);
+    }
+  }, [isMounted, loading, isLocalMode, trashedTodos.length]);
+
+  // Surface reminders whose remindAt time has passed
+  useEffect(() => {
+    if (!isMounted) return;
+
+    function checkReminders() {
+      const now = Date.now();
+      const due = allTodos.filter(todo =>
+        todo.remindAt &&
+        !todo.completed &&
+        new Date(todo.remindAt).getTime() <= now &&
+        !notifiedReminderIds.current.has(todo.id)
+      );
+      if (due.length === 0) return;
+
+      due.forEach(todo => {
+        notifiedReminderIds.current.add(todo.id);
+        if ('Notification' in window && Notification.permission === 'granted') {
+          new Notification('Todo reminder', { body: todo.content });
+        }
+      });
+      setDueReminders(current => [...current, ...due]);
+    }
+
+    checkReminders();
+    const interval = setInterval(checkReminders, REMINDER_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [allTodos, isMounted]);
+
+  // Check the backend can be reached and load everything from it, falling back to the local copy if not
+  async function checkConnectionAndFetchTodos() {
+    try {
+      // Check if we can connect to the backend
+      const limit = DEFAULT_PAGE_SIZE;
+      setTodos(await listAllPages((nextToken) => client.models.Todo.list({ limit, nextToken })));
+      setProjects(await listAllPages((nextToken) => client.models.Project.list({ limit, nextToken })));
+      setSubtasks(await listAllPages((nextToken) => client.models.Subtask.list({ limit, nextToken })));
+      setTags(await listAllPages((nextToken) => client.models.Tag.list({ limit, nextToken })));
+      setTodoTags(await listAllPages((nextToken) => client.models.TodoTag.list({ limit, nextToken })));
+      setIsConnected(true);
+      setError(null);
+      console.log('Connected to backend successfully');
+    } catch (err) {
+      console.error('Error connecting to backend:', err);
+      setIsConnected(false);
+      if (isLocal) {
+        // In local mode, we'll use localStorage instead
+        console.log('Using local storage for todos');
+      } else {
+        setError('Failed to connect to backend. Please try again later.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Back online: resubscribe if connected, otherwise check the backend again, which
+  // replays the outbox once it's reachable
+  reconnectHandler.current = () => {
+    if (isConnected) {
+      setResubscribeKey(key => key + 1);
+    } else {
+      checkConnectionAndFetchTodos();
+    }
+  };
+
+  // Record a mutation made while disconnected so it can be replayed later
+  function enqueueMutation(entry: NewOutboxEntry) {
+    setOutbox(current => [...current, createOutboxEntry(entry)]);
+  }
+
+  // A list's id for a queued todo change, or null for a list that will never
+  // reach the backend, i.e. one made offline before list changes were queued
+  function getSyncedProjectId(projectId: string | null | undefined) {
+    if (!projectId) return null;
+    const isQueued = outbox.some(entry => entry.model === 'Project' && entry.type === 'create' && entry.projectId === projectId);
+    return isQueued || projects.some(p => p.id === projectId) ? projectId : null;
+  }
+
+  // Queue deleting a todo, after its subtasks and tag links so none are left behind
+  function enqueueTodoDelete(todoId: string) {
+    localSubtasks
+      .filter(subtask => subtask.todoId === todoId)
+      .forEach(subtask => enqueueMutation({ model: 'Subtask', type: 'delete', todoId, recordId: subtask.id }));
+    localTodoTags
+      .filter(link => link.todoId === todoId)
+      .forEach(link => enqueueMutation({ model: 'TodoTag', type: 'delete', todoId, recordId: link.id }));
+    enqueueMutation({ type: 'delete', todoId });
+  }
+
+  // Replay the outbox against the backend and point local records at the new ids
+  async function replayQueuedMutations(entries: OutboxEntry[]) {
+    isReplaying.current = true;
+
+    try {
+      const { remaining, idMap, recordIdMap, projectIdMap } = await replayOutbox(entries, outboxTarget);
+      const replayedIds = new Set(entries.map(entry => entry.id));
+
+      // Keep anything queued while the replay was running
+      setOutbox(current => [...remaining, ...current.filter(entry => !replayedIds.has(entry.id))]);
+
+      if (Object.keys(idMap).length > 0 || Object.keys(recordIdMap).length > 0) {
+        const remapId = (id: string) => idMap[id] ?? id;
+        const remapRecordId = (id: string) => recordIdMap[id] ?? id;
+        setLocalTodos(current => current.map(todo => ({ ...todo, id: remapId(todo.id) })));
+        setLocalSubtasks(current => current.map(subtask => ({ ...subtask, id: remapRecordId(subtask.id), todoId: remapId(subtask.todoId) })));
+        setLocalTodoTags(current => current.map(link => ({ ...link, id: remapRecordId(link.id), todoId: remapId(link.todoId) })));
+        setUndoStack(current => remapHistoryIds(current, idMap));
+        setRedoStack(current => remapHistoryIds(current, idMap));
+      }
+
+      if (Object.keys(projectIdMap).length > 0) {
+        const remapProjectId = (id: string | null | undefined) => id ? projectIdMap[id] ?? id : id;
+        setLocalProjects(current => current.map(project => ({ ...project, id: remapProjectId(project.id)! })));
+        setLocalTodos(current => current.map(todo => ({ ...todo, projectId: remapProjectId(todo.projectId) })));
+        setSelectedProjectId(current => remapProjectId(current) ?? null);
+      }
+    } finally {
+      isReplaying.current = false;
+    }
+  }
+
+  // The todo or list a queued change is for, by its content or name where that's known
+  function getOutboxEntryLabel(entry: OutboxEntry) {
+    if (entry.model === 'Project') {
+      const project = localProjects.find(p => p.id === entry.projectId);
+      if (project) return project.name;
+      return entry.type !== 'delete' && entry.fields.name ? entry.fields.name : entry.projectId;
+    }
+    const todo = localTodos.find(t => t.id === entry.todoId);
+    if (todo) return todo.content;
+    return entry.model !== 'Subtask' && entry.model !== 'TodoTag' && entry.type === 'create'
+      ? entry.fields.content
+      : entry.todoId;
+  }
+
+  // Clear the error on a failed entry so the next replay retries it
+  function retryOutboxEntry(id: string) {
+    setOutbox(outbox.map(entry => entry.id === id ? { ...entry, error: undefined } : entry));
+  }
+
+  // Drop a queued mutation without applying it
+  function discardOutboxEntry(id: string) {
+    setOutbox(outbox.filter(entry => entry.id !== id));
+  }
+
+  // Show what quick-add made of the text, for the user to check before it's created
+  useEffect(() => {
+    if (parsedTodo && quickAddText !== null) {
+      setQuickAddDraft(toQuickAddDraft(parsedTodo, quickAddText));
+    }
+  }, [parsedTodo]);
+
+  // Have the typed text worked out into a todo, e.g. "Call vendor next Tuesday 3pm high priority #ops"
+  function startQuickAdd() {
+    if (!newTodo.trim() || isParsing) return;
+
+    setQuickAddText(newTodo);
+    setQuickAddDraft(null);
+    parseTodo({
+      text: newTodo,
+      now: new Date().toISOString(),
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+  }
+
+  async function acceptQuickAdd() {
+    if (!quickAddDraft?.content.trim()) return;
+
+    const draft = quickAddDraft;
+    discardQuickAdd();
+    await addTodo({
+      content: draft.content.trim(),
+      dueAt: fromDateTimeInputValue(draft.dueAt),
+      priority: draft.priority || null,
+      recurrence: null,
+      tags: draft.tags,
+    });
+  }
+
+  function discardQuickAdd() {
+    setQuickAddText(null);
+    setQuickAddDraft(null);
+  }
+
+  // Create a new todo from the form
   async function createTodo(e: React.FormEvent) {
     e.preventDefault();
     if (!newTodo.trim()) return;
 
-    try {
-      if (isLocal && !isConnected) {
-        // Create todo locally
-        const newTodoItem: Todo = {
-          id: Date.now().toString(),
-          content: newTodo,
-          completed: false,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          owner: auth?.user?.username || 'local-user',
-        } as Todo;
+    await addTodo({
+      content: newTodo,
+      dueAt: fromDateTimeInputValue(newDueAt),
+      priority: newPriority || null,
+      recurrence: newRecurrence,
+      tags: newTags,
+    });
+  }
 
-        setLocalTodos([newTodoItem, ...localTodos]);
-      } else {
-        // Create todo in the backend
-        const { data: createdTodo } = await client.models.Todo.create({
-          content: newTodo,
+  // Create a new todo and clear the form
+  async function addTodo(fields: NewTodoFields) {
+    const newTodoItem: Todo = {
+      id: Date.now().toString(),
+      content: fields.content,
+      completed: false,
+      status: 'todo',
+      dueAt: fields.dueAt,
+      priority: fields.priority,
+      position: getTopPosition(allTodos),
+      recurrence: fields.recurrence,
+      projectId: selectedProjectId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      owner: auth?.user?.username || 'local-user',
+    } as Todo;
+
+    setNewTodo("");
+    setNewDueAt("");
+    setNewPriority("");
+    setNewRecurrence(null);
+    setNewTags([]);
+    discardQuickAdd();
+
+    if (isLocal && !isConnected) {
+      // Create todo locally
+      setLocalTodos([newTodoItem, ...localTodos]);
+      enqueueMutation({
+        type: 'create',
+        todoId: newTodoItem.id,
+        fields: {
+          content: newTodoItem.content,
           completed: false,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        });
+          status: newTodoItem.status,
+          dueAt: newTodoItem.dueAt,
+          priority: newTodoItem.priority,
+          position: newTodoItem.position,
+          recurrence: newTodoItem.recurrence,
+          projectId: getSyncedProjectId(selectedProjectId),
+          createdAt: newTodoItem.createdAt,
+          updatedAt: newTodoItem.updatedAt,
+        },
+      });
+      recordHistory('Added todo', [{ todoId: newTodoItem.id, before: { deletedAt: newTodoItem.createdAt }, after: { deletedAt: null } }]);
+      await attachTags(newTodoItem.id, fields.tags);
+    } else {
+      // Show the todo straight away under a temporary id until the backend confirms it
+      const optimisticTodo = { ...newTodoItem, id: `pending-${newTodoItem.id}` };
+      unconfirmedTodos.current.set(optimisticTodo.id, optimisticTodo);
+      setTodos(current => [optimisticTodo, ...current]);
+      await saveNewTodo(optimisticTodo, fields.tags);
+    }
+  }
 
-        if (createdTodo) {
-          setTodos([createdTodo, ...todos]);
-        }
+  // Create an optimistically added todo in the backend, keeping it with a retry if that fails
+  async function saveNewTodo(optimisticTodo: Todo, tagNames: string[]) {
+    const tempId = optimisticTodo.id;
+    clearTodoFailure(tempId);
+    setPendingTodoIds(current => new Set(current).add(tempId));
+
+    try {
+      const { data: createdTodo, errors } = await client.models.Todo.create({
+        content: optimisticTodo.content,
+        completed: optimisticTodo.completed,
+        status: optimisticTodo.status,
+        dueAt: optimisticTodo.dueAt,
+        priority: optimisticTodo.priority,
+        position: optimisticTodo.position,
+        recurrence: optimisticTodo.recurrence,
+        projectId: optimisticTodo.projectId,
+        createdAt: optimisticTodo.createdAt,
+        updatedAt: optimisticTodo.updatedAt,
+      });
+      if (errors?.length || !createdTodo) {
+        throw new Error(errors?.[0]?.message ?? 'The backend did not return the created todo');
       }
 
-      setNewTodo("");
+      // The live subscription may already have delivered the created todo
+      unconfirmedTodos.current.delete(tempId);
+      setTodos(current => current.some(t => t.id === createdTodo.id)
+        ? current.filter(t => t.id !== tempId)
+        : current.map(t => t.id === tempId ? createdTodo : t));
+      recordHistory('Added todo', [{ todoId: createdTodo.id, before: { deletedAt: createdTodo.createdAt }, after: { deletedAt: null } }]);
+      await attachTags(createdTodo.id, tagNames);
     } catch (err) {
       console.error("Error creating todo:", err);
-      setError("Failed to create todo. Please try again.");
+      reportTodoFailure(tempId, {
+        message: "Couldn't save this todo.",
+        onRetry: () => saveNewTodo(optimisticTodo, tagNames),
+        onDiscard: () => {
+          unconfirmedTodos.current.delete(tempId);
+          setTodos(current => current.filter(t => t.id !== tempId));
+        },
+      });
+    } finally {
+      setPendingTodoIds(current => {
+        const next = new Set(current);
+        next.delete(tempId);
+        return next;
+      });
     }
   }
 
-  // Toggle todo completion status
-  async function toggleTodoStatus(todo: Todo) {
+  // Remember a failed mutation on a todo so the item can offer a retry
+  function reportTodoFailure(id: string, failure: TodoFailure) {
+    setTodoFailures(current => ({ ...current, [id]: failure }));
+  }
+
+  // Forget a todo's failed mutation
+  function clearTodoFailure(id: string) {
+    setTodoFailures(current => {
+      if (!(id in current)) return current;
+      const { [id]: _cleared, ...rest } = current;
+      return rest;
+    });
+  }
+
+  // Attach tags to a todo by name, creating any tags that don't exist yet.
+  // `knownTags` lets a retry see the tags its first attempt created.
+  async function attachTags(todoId: string, names: string[], knownTags: Tag[] = tags) {
+    if (names.length === 0) return;
+
+    if (isLocal && !isConnected) {
+      // Create tags and links locally
+      const createdTags: Tag[] = names
+        .filter(name => !localTags.some(tag => tag.name === name))
+        .map((name, index) => ({
+          id: `${Date.now()}-${index}`,
+          name,
+          owner: auth?.user?.username || 'local-user',
+        } as Tag));
+      const knownTags = [...localTags, ...createdTags];
+      const links: TodoTag[] = names.map((name, index) => ({
+        id: `${Date.now()}-link-${index}`,
+        todoId,
+        tagId: knownTags.find(tag => tag.name === name)!.id,
+        owner: auth?.user?.username || 'local-user',
+      } as TodoTag));
+
+      setLocalTags(knownTags);
+      setLocalTodoTags([...localTodoTags, ...links]);
+      links.forEach((link, index) => enqueueMutation({
+        model: 'TodoTag',
+        type: 'create',
+        todoId,
+        recordId: link.id,
+        tagName: names[index],
+      }));
+    } else {
+      // Create tags and links in the backend, keeping the ones it accepted and
+      // offering to retry the rest on the todo
+      clearTodoFailure(todoId);
+      const tagResults = await Promise.all(
+        names
+          .filter(name => !knownTags.some(tag => tag.name === name))
+          .map(name => client.models.Tag.create({ name }))
+      );
+      const availableTags = [...knownTags, ...tagResults.flatMap(({ data }) => data ? [data] : [])];
+      const linkResults = await Promise.all(
+        names
+          .map(name => availableTags.find(tag => tag.name === name))
+          .filter((tag): tag is Tag => tag !== undefined)
+          .map(tag => client.models.TodoTag.create({ todoId, tagId: tag.id }))
+      );
+      const links = linkResults.flatMap(({ data }) => data ? [data] : []);
+
+      setTags(current => [...current, ...availableTags.filter(tag => !current.some(t => t.id === tag.id))]);
+      setTodoTags(current => [...current, ...links]);
+
+      const untagged = names.filter(name => !links.some(link => availableTags.find(tag => tag.id === link.tagId)?.name === name));
+      if (untagged.length > 0) {
+        const errors = [...tagResults, ...linkResults].flatMap(({ errors }) => errors ?? []);
+        console.error("Error tagging todo:", errors[0]?.message ?? 'The backend did not return the created tags');
+        reportTodoFailure(todoId, {
+          message: untagged.length === 1 ? `Couldn't add the tag “${untagged[0]}”.` : "Couldn't add some of its tags.",
+          onRetry: () => attachTags(todoId, untagged, availableTags),
+        });
+      }
+    }
+  }
+
+  // Apply changes to a todo
+  async function updateTodo(todo: Todo, changes: TodoChanges) {
+    // Ask for permission to show notifications the first time a reminder is set
+    if (changes.remindAt && 'Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+    // A rescheduled reminder should fire again
+    if ('remindAt' in changes) {
+      notifiedReminderIds.current.delete(todo.id);
+    }
+
     try {
       if (isLocal && !isConnected) {
         // Update todo locally
         const updatedTodo = {
           ...todo,
-          completed: !todo.completed,
+          ...changes,
           updatedAt: new Date().toISOString(),
         };
 
-        setLocalTodos(localTodos.map(t => t.id === todo.id ? updatedTodo : t));
+        setLocalTodos(current => current.map(t => t.id === todo.id ? updatedTodo : t));
+        enqueueMutation({
+          type: 'update',
+          todoId: todo.id,
+          fields: { ...changes, updatedAt: updatedTodo.updatedAt },
+        });
       } else {
-        // Update todo in the backend
-        const { data: updatedTodo } = await client.models.Todo.update({
+        // Apply the change right away and roll this todo back if the backend rejects it
+        const updatedAt = new Date().toISOString();
+        clearTodoFailure(todo.id);
+        setTodos(current => current.map(t => t.id === todo.id ? { ...t, ...changes, updatedAt } : t));
+
+        const { data: updatedTodo, errors } = await client.models.Todo.update({
           id: todo.id,
-          completed: !todo.completed,
-          updatedAt: new Date().toISOString(),
+          ...changes,
+          updatedAt,
         });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
 
         if (updatedTodo) {
-          setTodos(todos.map(t => t.id === updatedTodo.id ? updatedTodo : t));
+          setTodos(current => current.map(t => t.id === updatedTodo.id ? updatedTodo : t));
         }
       }
     } catch (err) {
       console.error("Error updating todo:", err);
-      setError("Failed to update todo. Please try again.");
+      setTodos(current => current.map(t => t.id === todo.id ? todo : t));
+      reportTodoFailure(todo.id, {
+        message: "Couldn't save your change.",
+        onRetry: () => updateTodo(todo, changes),
+      });
+    }
+  }
+
+  // Whether a status column can take these todos without going over its limit, counted as on the board
+  function hasWipRoomFor(status: TodoStatus, todosToMove: Todo[]) {
+    const moving = todosToMove.filter(todo => getTodoStatus(todo) !== status).length;
+    const inColumn = displayTodos.filter(todo => getTodoStatus(todo) === status).length;
+    return moving === 0 || hasWipRoom(wipLimits, status, inColumn + moving - 1);
+  }
+
+  // Apply changes made in the list, so they can be undone
+  function editTodo(todo: Todo, changes: TodoChanges) {
+    if (changes.status && !hasWipRoomFor(changes.status, [todo])) {
+      reportTodoFailure(todo.id, {
+        message: `The ${TODO_STATUS_LABELS[changes.status]} column is full.`,
+        onRetry: () => editTodo(todo, changes),
+      });
+      return;
+    }
+    if (changes.completed && isRecurringOpen(todo)) {
+      return completeRecurringTodo(todo);
+    }
+    recordHistory('Edited todo', [recordChange(todo, changes)]);
+    return updateTodo(todo, changes);
+  }
+
+  // Toggle todo completion status
+  function toggleTodoStatus(todo: Todo) {
+    return editTodo(todo, getCompletionChanges(!todo.completed));
+  }
+
+  function isRecurringOpen(todo: Todo) {
+    return !todo.completed && parseRecurrence(todo.recurrence) !== null;
+  }
+
+  // Complete a recurring todo and add its next occurrence. The rule moves to the
+  // new todo, so undoing puts it back on the completed one and trashes the copy.
+  async function completeRecurringTodo(todo: Todo) {
+    const completion: TodoChanges = { ...getCompletionChanges(true), recurrence: null };
+    const updatedAt = new Date().toISOString();
+
+    if (isLocal && !isConnected) {
+      const schedule = getNextSchedule(todo, new Date(), Intl.DateTimeFormat().resolvedOptions().timeZone)!;
+      const nextTodo = {
+        ...todo,
+        // Several may be completed at once from the bulk bar
+        id: `${Date.now()}-${todo.id}`,
+        ...getCompletionChanges(false),
+        dueAt: schedule.dueAt,
+        remindAt: schedule.remindAt,
+        createdAt: updatedAt,
+        updatedAt,
+      } as Todo;
+
+      setLocalTodos(current => [nextTodo, ...current.map(t => t.id === todo.id ? { ...t, ...completion, updatedAt } : t)]);
+      enqueueMutation({ type: 'update', todoId: todo.id, fields: { ...completion, updatedAt } });
+      enqueueMutation({
+        type: 'create',
+        todoId: nextTodo.id,
+        fields: {
+          content: nextTodo.content,
+          notes: nextTodo.notes,
+          completed: false,
+          status: nextTodo.status,
+          dueAt: nextTodo.dueAt,
+          priority: nextTodo.priority,
+          remindAt: nextTodo.remindAt,
+          position: nextTodo.position,
+          recurrence: nextTodo.recurrence,
+          projectId: getSyncedProjectId(nextTodo.projectId),
+          createdAt: updatedAt,
+          updatedAt,
+        },
+      });
+      recordHistory('Completed recurring todo', [
+        recordChange(todo, completion),
+        { todoId: nextTodo.id, before: { deletedAt: updatedAt }, after: { deletedAt: null } },
+      ]);
+      return;
     }
+
+    // Mark it complete right away; the next occurrence appears once the backend has created it
+    clearTodoFailure(todo.id);
+    setTodos(current => current.map(t => t.id === todo.id ? { ...t, ...completion, updatedAt } : t));
+
+    try {
+      const { data: nextTodo, errors } = await client.mutations.completeTodo({
+        id: todo.id,
+        completed: true,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+      if (errors?.length) {
+        throw new Error(errors[0].message);
+      }
+
+      const changes = [recordChange(todo, completion)];
+      if (nextTodo) {
+        setTodos(current => current.some(t => t.id === nextTodo.id) ? current : [nextTodo as Todo, ...current]);
+        changes.push({ todoId: nextTodo.id, before: { deletedAt: nextTodo.createdAt }, after: { deletedAt: null } });
+      }
+      recordHistory('Completed recurring todo', changes);
+      // The custom mutation doesn't publish model events, so restart the live query to pick up the new state
+      setResubscribeKey(key => key + 1);
+    } catch (err) {
+      console.error("Error completing todo:", err);
+      setTodos(current => current.map(t => t.id === todo.id ? todo : t));
+      reportTodoFailure(todo.id, {
+        message: "Couldn't complete this todo.",
+        onRetry: () => completeRecurringTodo(todo),
+      });
+    }
+  }
+
+  // Remember a change for undo; anything previously undone can no longer be redone
+  function recordHistory(label: string, changes: TodoChangeRecord[], showToast = false) {
+    if (changes.length === 0) return;
+
+    setUndoStack(current => pushHistory(current, { label, changes }));
+    setRedoStack([]);
+    if (showToast) {
+      setUndoToast(label);
+    }
+  }
+
+  // Put the todos in a history entry back to one side of the change
+  function applyHistoryEntry(entry: HistoryEntry, side: 'before' | 'after') {
+    entry.changes.forEach(change => {
+      const todo = storedTodos.find(t => t.id === change.todoId);
+      if (!todo) return;
+
+      const changes = change[side];
+      // A todo going back to the trash starts its retention period again
+      updateTodo(todo, changes.deletedAt ? { ...changes, deletedAt: new Date().toISOString() } : changes);
+    });
   }
 
-  // Delete a todo
+  // Revert the most recent change
+  function undo() {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+
+    setUndoStack(current => current.slice(0, -1));
+    setRedoStack(current => pushHistory(current, entry));
+    setUndoToast(null);
+    applyHistoryEntry(entry, 'before');
+  }
+
+  // Reapply the most recently undone change
+  function redo() {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+
+    setRedoStack(current => current.slice(0, -1));
+    setUndoStack(current => pushHistory(current, entry));
+    applyHistoryEntry(entry, 'after');
+  }
+
+  // Put the cursor in the new todo field
+  function focusNewTodo() {
+    setShowTrash(false);
+    newTodoInputRef.current?.focus();
+  }
+
+  // Move keyboard focus through the shown todos, starting at either end
+  function moveFocus(step: -1 | 1) {
+    if (visibleTodos.length === 0) return;
+
+    const index = visibleTodos.findIndex(todo => todo.id === focusedTodoId);
+    const nextIndex = index === -1
+      ? (step > 0 ? 0 : visibleTodos.length - 1)
+      : Math.min(Math.max(index + step, 0), visibleTodos.length - 1);
+    setFocusedTodoId(visibleTodos[nextIndex].id);
+  }
+
+  // Trash the focused todo and move focus to its neighbour
+  function trashFocusedTodo() {
+    if (!focusedTodo || !isSelectable(focusedTodo.id)) return;
+
+    const index = visibleTodos.indexOf(focusedTodo);
+    const neighbour = visibleTodos[index + 1] ?? visibleTodos[index - 1];
+    setFocusedTodoId(neighbour?.id ?? null);
+    trashTodo(focusedTodo);
+  }
+
+  // Handle a key press: Ctrl/Cmd+K and undo/redo chords, then single-key shortcuts
+  function handleShortcut(e: KeyboardEvent) {
+    const withModifier = e.ctrlKey || e.metaKey;
+
+    if (withModifier && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      setShowPalette(open => !open);
+      return;
+    }
+    // Overlays and text fields keep their own keys, including text undo
+    if (showPalette || showShortcuts || isTypingTarget(e.target)) return;
+
+    if (withModifier && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+      return;
+    }
+    if (withModifier || e.altKey) return;
+
+    const canChangeFocused = focusedTodo !== undefined && isSelectable(focusedTodo.id);
+    switch (e.key) {
+      case 'n':
+        focusNewTodo();
+        break;
+      case 'j':
+        moveFocus(1);
+        break;
+      case 'k':
+        moveFocus(-1);
+        break;
+      case 'x':
+        if (canChangeFocused) toggleTodoStatus(focusedTodo);
+        break;
+      case 'e':
+        // Board cards can't be edited in place, so the key is left alone there
+        if (layout === 'board') return;
+        if (canChangeFocused) setEditRequestedId(focusedTodo.id);
+        break;
+      case '#':
+        trashFocusedTodo();
+        break;
+      case '?':
+        setShowShortcuts(true);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  shortcutHandler.current = handleShortcut;
+
+  // Everything the command palette can run, built from the list actions
+  function getPaletteCommands(): PaletteCommand[] {
+    const commands: PaletteCommand[] = [{ id: 'new', label: 'New todo', shortcut: 'n', run: focusNewTodo }];
+
+    if (focusedTodo && isSelectable(focusedTodo.id)) {
+      const todo = focusedTodo;
+      commands.push({ id: 'toggle', label: `${todo.completed ? 'Reopen' : 'Complete'} "${todo.content}"`, shortcut: 'x', run: () => toggleTodoStatus(todo) });
+      if (layout === 'list') {
+        commands.push({ id: 'edit', label: `Edit "${todo.content}"`, shortcut: 'e', run: () => setEditRequestedId(todo.id) });
+      }
+      commands.push({ id: 'trash', label: `Move "${todo.content}" to trash`, shortcut: '#', run: trashFocusedTodo });
+    }
+    if (undoStack.length > 0) {
+      commands.push({ id: 'undo', label: `Undo: ${undoStack[undoStack.length - 1].label}`, shortcut: 'Ctrl/Cmd+Z', run: undo });
+    }
+    if (redoStack.length > 0) {
+      commands.push({ id: 'redo', label: `Redo: ${redoStack[redoStack.length - 1].label}`, shortcut: 'Ctrl/Cmd+Shift+Z', run: redo });
+    }
+
+    commands.push(
+      { id: 'show-all', label: 'Show all todos', run: () => updateView({ status: 'all' }) },
+      { id: 'show-active', label: 'Show active todos', run: () => updateView({ status: 'active' }) },
+      { id: 'show-completed', label: 'Show completed todos', run: () => updateView({ status: 'completed' }) },
+      ...(Object.keys(TODO_SORT_LABELS) as TodoSort[]).map(sort => ({
+        id: `sort-${sort}`,
+        label: `Sort: ${TODO_SORT_LABELS[sort]}`,
+        run: () => updateView({ sort }),
+      })),
+      { id: 'list-all', label: 'Go to list: All todos', run: () => setSelectedProjectId(null) },
+      ...displayProjects.map(project => ({
+        id: `list-${project.id}`,
+        label: `Go to list: ${project.name}`,
+        run: () => setSelectedProjectId(project.id),
+      })),
+      { id: 'trash-view', label: showTrash ? 'Back to todos' : 'Open trash', run: () => setShowTrash(!showTrash) },
+      { id: 'shortcuts', label: 'Keyboard shortcuts', shortcut: '?', run: () => setShowShortcuts(true) },
+    );
+    return commands;
+  }
+
+  // Move a todo within its due group and save every position that changes
+  function moveTodo(groupTodos: Todo[], todoId: string, toIndex: number) {
+    const fromIndex = groupTodos.findIndex(t => t.id === todoId);
+    if (fromIndex === -1 || fromIndex === toIndex || toIndex < 0 || toIndex >= groupTodos.length) return;
+
+    const positions = getMovePositions(groupTodos, fromIndex, toIndex);
+    const moved = groupTodos.filter(t => t.id in positions);
+    recordHistory('Moved todo', moved.map(t => recordChange(t, { position: positions[t.id] })));
+    moved.forEach(t => updateTodo(t, { position: positions[t.id] }));
+  }
+
+  // Move a todo on the board, saving its new status and every position that changes
+  function moveTodoToStatus(todo: Todo, status: TodoStatus, columnTodos: Todo[], toIndex: number) {
+    const isSameColumn = getTodoStatus(todo) === status;
+    // Finishing a recurring todo still has to schedule its next occurrence
+    if (!isSameColumn && status === 'done' && isRecurringOpen(todo)) {
+      completeRecurringTodo(todo);
+      return;
+    }
+
+    // A todo from another column starts out as the last card of this one
+    const column = isSameColumn ? columnTodos : [...columnTodos, todo];
+    const fromIndex = column.findIndex(t => t.id === todo.id);
+    const targetIndex = Math.min(toIndex, column.length - 1);
+    const positions = fromIndex === targetIndex ? {} : getMovePositions(column, fromIndex, targetIndex);
+
+    const changes: Record<string, TodoChanges> = {};
+    Object.keys(positions).forEach(id => {
+      changes[id] = { position: positions[id] };
+    });
+    if (!isSameColumn) {
+      changes[todo.id] = { ...changes[todo.id], ...getStatusChanges(status) };
+    }
+
+    const moved = column.filter(t => t.id in changes);
+    recordHistory('Moved todo', moved.map(t => recordChange(t, changes[t.id])));
+    moved.forEach(t => updateTodo(t, changes[t.id]));
+  }
+
+  // Drag and keyboard reordering for a todo, only while the list is in manual order
+  function getTodoReorder(todo: Todo, groupTodos: Todo[]): TodoReorder | undefined {
+    if (view.sort !== 'manual') return undefined;
+
+    const index = groupTodos.findIndex(t => t.id === todo.id);
+    // Dropping into another due group wouldn't move the todo there, so it's not a target
+    const canDropHere = draggedTodoId !== null && groupTodos.some(t => t.id === draggedTodoId);
+
+    return {
+      onMove: (direction) => moveTodo(groupTodos, todo.id, index + direction),
+      onDragStart: () => setDraggedTodoId(todo.id),
+      onDragOver: () => canDropHere && dropTargetId !== todo.id && setDropTargetId(todo.id),
+      onDrop: () => {
+        if (canDropHere && draggedTodoId) {
+          moveTodo(groupTodos, draggedTodoId, index);
+        }
+        setDraggedTodoId(null);
+        setDropTargetId(null);
+      },
+      onDragEnd: () => {
+        setDraggedTodoId(null);
+        setDropTargetId(null);
+      },
+      isDragging: draggedTodoId === todo.id,
+      isDropTarget: canDropHere && dropTargetId === todo.id && draggedTodoId !== todo.id,
+    };
+  }
+
+  // Unsaved todos have no backend record for a bulk action to change
+  function isSelectable(todoId: string) {
+    return !pendingTodoIds.has(todoId) && todoFailures[todoId]?.onDiscard === undefined;
+  }
+
+  // Select or deselect a todo; with shift held, do the same to everything since the last click
+  function selectTodo(todoId: string, extendRange: boolean) {
+    const selected = !selectedTodoIds.has(todoId);
+    const index = selectableTodos.findIndex(todo => todo.id === todoId);
+    const anchorIndex = selectableTodos.findIndex(todo => todo.id === selectionAnchorId.current);
+    const range = extendRange && anchorIndex !== -1 && index !== -1
+      ? selectableTodos.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1).map(todo => todo.id)
+      : [todoId];
+
+    const next = new Set(selectedTodoIds);
+    range.forEach(id => selected ? next.add(id) : next.delete(id));
+    setSelectedTodoIds(next);
+    selectionAnchorId.current = todoId;
+  }
+
+  function selectAllTodos(selected: boolean) {
+    setSelectedTodoIds(selected ? new Set(selectableTodos.map(todo => todo.id)) : new Set());
+  }
+
+  // Apply one change to every selected todo
+  async function bulkUpdateTodos(action: BulkTodoAction, projectId: string | null = null) {
+    const selected = selectedTodos;
+    if (selected.length === 0) return;
+
+    // Completing or reopening moves the todos into a status column, which has to have room
+    const status = action === 'complete' ? 'done' : action === 'uncomplete' ? 'todo' : null;
+    if (status && !hasWipRoomFor(status, selected)) {
+      setError(`There isn't room for ${selected.length === 1 ? 'this todo' : 'these todos'} in the ${TODO_STATUS_LABELS[status]} column.`);
+      return;
+    }
+
+    setSelectedTodoIds(new Set());
+
+    // Recurring todos go through completeTodo so each one gets its next occurrence
+    const recurring = action === 'complete' ? selected.filter(isRecurringOpen) : [];
+    recurring.forEach(todo => completeRecurringTodo(todo));
+    const others = selected.filter(todo => !recurring.includes(todo));
+
+    if (await applyBulkAction(action, others, projectId)) {
+      // Deleting for good can't be undone, as the todos are gone from the backend
+      if (action === 'delete') return;
+      const changes = getBulkChanges(action, projectId);
+      recordHistory(
+        action === 'trash' ? `Moved ${others.length} todos to trash` : `Updated ${others.length} todos`,
+        others.map(todo => recordChange(todo, changes)),
+        action === 'trash'
+      );
+    } else {
+      // Keep the selection so the action can be tried again
+      setSelectedTodoIds(new Set(others.map(todo => todo.id)));
+    }
+  }
+
+  // The fields a bulk action sets on each todo
+  function getBulkChanges(action: BulkTodoAction, projectId: string | null, now = new Date().toISOString()): TodoChanges {
+    return {
+      complete: getCompletionChanges(true),
+      uncomplete: getCompletionChanges(false),
+      move: { projectId },
+      trash: { deletedAt: now },
+      restore: { deletedAt: null },
+      // Nothing to set; the todos are deleted
+      delete: {},
+    }[action];
+  }
+
+  // Apply one change to many todos in a single request, returning whether it went through
+  async function applyBulkAction(action: BulkTodoAction, selected: Todo[], projectId: string | null = null) {
+    if (selected.length === 0) return true;
+
+    const ids = new Set(selected.map(todo => todo.id));
+    const updatedAt = new Date().toISOString();
+    const changes = getBulkChanges(action, projectId, updatedAt);
+
+    if (isLocal && !isConnected) {
+      if (action === 'delete') {
+        setLocalTodos(current => current.filter(todo => !ids.has(todo.id)));
+        setLocalSubtasks(current => current.filter(subtask => !ids.has(subtask.todoId)));
+        setLocalTodoTags(current => current.filter(link => !ids.has(link.todoId)));
+        selected.forEach(todo => enqueueTodoDelete(todo.id));
+      } else {
+        setLocalTodos(current => current.map(todo => ids.has(todo.id) ? { ...todo, ...changes, updatedAt } : todo));
+        const fields = action === 'move' ? { projectId: getSyncedProjectId(projectId), updatedAt } : { ...changes, updatedAt };
+        selected.forEach(todo => enqueueMutation({ type: 'update', todoId: todo.id, fields }));
+      }
+      return true;
+    }
+
+    // Apply the change right away and put the todos back if the backend rejects it
+    if (action === 'delete') {
+      setTodos(current => current.filter(todo => !ids.has(todo.id)));
+    } else {
+      setTodos(current => current.map(todo => ids.has(todo.id) ? { ...todo, ...changes, updatedAt } : todo));
+    }
+
+    // A delete also removes the todos' subtasks and tag links
+    const getSubtaskIds = (todoIds: Set<string>) => action === 'delete'
+      ? subtasks.filter(subtask => todoIds.has(subtask.todoId)).map(subtask => subtask.id)
+      : [];
+    const getTodoTagIds = (todoIds: Set<string>) => action === 'delete'
+      ? todoTags.filter(link => todoIds.has(link.todoId)).map(link => link.id)
+      : [];
+    const removeChildren = (todoIds: Set<string>) => {
+      setSubtasks(current => current.filter(subtask => !todoIds.has(subtask.todoId)));
+      setTodoTags(current => current.filter(link => !todoIds.has(link.todoId)));
+    };
+
+    // Each request is all or nothing, so a selection too big for one keeps the chunks saved before a failure
+    const chunks = chunkBulkTodos(selected, todo => {
+      const todoIds = new Set([todo.id]);
+      const purgeRecords = action === 'delete' ? 1 : 0;
+      return 1 + purgeRecords + getSubtaskIds(todoIds).length + getTodoTagIds(todoIds).length;
+    });
+    const appliedIds = new Set<string>();
+
+    try {
+      for (const chunk of chunks) {
+        const chunkIds = new Set(chunk.map(todo => todo.id));
+        const { errors } = await client.mutations.bulkUpdateTodos({
+          action,
+          todoIds: Array.from(chunkIds),
+          projectId,
+          subtaskIds: getSubtaskIds(chunkIds),
+          todoTagIds: getTodoTagIds(chunkIds),
+        });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+        chunkIds.forEach(id => appliedIds.add(id));
+      }
+
+      if (action === 'delete') {
+        removeChildren(ids);
+      }
+      // The custom mutation doesn't publish model events, so restart the live query to pick up the new state
+      setResubscribeKey(key => key + 1);
+      return true;
+    } catch (err) {
+      console.error("Error applying bulk change:", err);
+      const failed = selected.filter(todo => !appliedIds.has(todo.id));
+      setTodos(current => [
+        ...current.map(todo => failed.find(original => original.id === todo.id) ?? todo),
+        ...failed.filter(original => !current.some(todo => todo.id === original.id)),
+      ]);
+      if (appliedIds.size > 0) {
+        if (action === 'delete') {
+          removeChildren(appliedIds);
+        }
+        setResubscribeKey(key => key + 1);
+        setError(`Only ${appliedIds.size} of ${selected.length} todos were updated. Please try again.`);
+      } else {
+        setError("Failed to update todos. Please try again.");
+      }
+      return false;
+    }
+  }
+
+  // Move a todo to the trash, where it can be restored until it's purged
+  function trashTodo(todo: Todo) {
+    const changes = { deletedAt: new Date().toISOString() };
+    recordHistory('Moved todo to trash', [recordChange(todo, changes)], true);
+    return updateTodo(todo, changes);
+  }
+
+  function restoreTodo(todo: Todo) {
+    return updateTodo(todo, { deletedAt: null });
+  }
+
+  // Permanently delete every todo in the trash
+  function emptyTrash() {
+    return applyBulkAction('delete', trashedTodos);
+  }
+
+  // Delete a todo for good, along with its subtasks and tag links
   async function deleteTodo(id: string) {
+    if (isLocal && !isConnected) {
+      // Delete todo and its subtasks locally
+      setLocalTodos(localTodos.filter(todo => todo.id !== id));
+      enqueueTodoDelete(id);
+      setLocalSubtasks(localSubtasks.filter(subtask => subtask.todoId !== id));
+      setLocalTodoTags(localTodoTags.filter(link => link.todoId !== id));
+      return;
+    }
+
+    // Remove the todo right away and put it back in place if the backend rejects the delete
+    const index = todos.findIndex(todo => todo.id === id);
+    const removedTodo = todos[index];
+    if (!removedTodo) return;
+
+    clearTodoFailure(id);
+    setTodos(current => current.filter(todo => todo.id !== id));
+
+    try {
+      // Delete the todo, its subtasks and tag links together, recording the purge for the sync scripts
+      const { errors } = await client.mutations.bulkUpdateTodos({
+        action: 'delete',
+        todoIds: [id],
+        subtaskIds: subtasks.filter(subtask => subtask.todoId === id).map(subtask => subtask.id),
+        todoTagIds: todoTags.filter(link => link.todoId === id).map(link => link.id),
+      });
+      if (errors?.length) {
+        throw new Error(errors[0].message);
+      }
+
+      setSubtasks(current => current.filter(subtask => subtask.todoId !== id));
+      setTodoTags(current => current.filter(link => link.todoId !== id));
+      // The custom mutation doesn't publish model events, so restart the live query
+      setResubscribeKey(key => key + 1);
+    } catch (err) {
+      console.error("Error deleting todo:", err);
+      setTodos(current => current.some(todo => todo.id === id)
+        ? current
+        : [...current.slice(0, index), removedTodo, ...current.slice(index)]);
+      reportTodoFailure(id, {
+        message: "Couldn't delete this todo.",
+        onRetry: () => deleteTodo(id),
+      });
+    }
+  }
+
+  // Add a subtask at the end of a todo's checklist
+  async function createSubtask(todoId: string, title: string) {
+    await createSubtasks(todoId, [title]);
+  }
+
+  // Add steps to a todo in one go, in order after its existing ones
+  async function createSubtasks(todoId: string, titles: string[]) {
+    const siblings = getSubtasks(todoId);
+    const firstPosition = siblings.length > 0 ? siblings[siblings.length - 1].position + 1 : 0;
+    const now = new Date().toISOString();
+    const newSubtasks = titles.map((title, index) => ({
+      title,
+      completed: false,
+      position: firstPosition + index,
+      todoId,
+      createdAt: now,
+      updatedAt: now,
+    }));
+
     try {
       if (isLocal && !isConnected) {
-        // Delete todo locally
-        setLocalTodos(localTodos.filter(todo => todo.id !== id));
+        // Create subtasks locally
+        const createdSubtasks = newSubtasks.map((subtask, index) => ({
+          ...subtask,
+          id: `${Date.now()}-${index}`,
+          owner: auth?.user?.username || 'local-user',
+        } as Subtask));
+
+        setLocalSubtasks(current => [...current, ...createdSubtasks]);
+        createdSubtasks.forEach(({ id, todoId, title, completed, position, createdAt, updatedAt }) => enqueueMutation({
+          model: 'Subtask',
+          type: 'create',
+          todoId,
+          recordId: id,
+          fields: { title, completed, position, createdAt, updatedAt },
+        }));
       } else {
-        // Delete todo in the backend
-        await client.models.Todo.delete({ id });
-        setTodos(todos.filter(todo => todo.id !== id));
+        // Create the subtasks in one request, so either all of them are added or none are
+        const { data, errors } = await client.mutations.createSubtasks({ todoId, titles, firstPosition });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+
+        setSubtasks(current => [...current, ...(data ?? []).filter((subtask): subtask is Subtask => subtask !== null)]);
       }
     } catch (err) {
-      console.error("Error deleting todo:", err);
-      setError("Failed to delete todo. Please try again.");
+      console.error("Error creating subtasks:", err);
+      setError(titles.length === 1 ? "Failed to add step. Please try again." : "Failed to add the steps. Please try again.");
+    }
+  }
+
+  // Apply changes to several subtasks at once
+  async function updateSubtasks(updates: { subtask: Subtask; changes: Partial<Pick<Subtask, 'completed' | 'position'>> }[]) {
+    const updatedAt = new Date().toISOString();
+    const changesById = new Map(updates.map(({ subtask, changes }) => [subtask.id, changes]));
+    const applyChanges = (subtask: Subtask) => {
+      const changes = changesById.get(subtask.id);
+      return changes ? { ...subtask, ...changes, updatedAt } : subtask;
+    };
+
+    if (isLocal && !isConnected) {
+      // Update subtasks locally
+      setLocalSubtasks(localSubtasks.map(applyChanges));
+      updates.forEach(({ subtask, changes }) => enqueueMutation({
+        model: 'Subtask',
+        type: 'update',
+        todoId: subtask.todoId,
+        recordId: subtask.id,
+        fields: { ...changes, updatedAt },
+      }));
+    } else {
+      // Update subtasks in the backend, keeping only the changes it accepted
+      const results = await Promise.all(
+        updates.map(({ subtask, changes }) =>
+          client.models.Subtask.update({ id: subtask.id, ...changes, updatedAt })
+        )
+      );
+      const errors = results.flatMap(({ errors }) => errors ?? []);
+      updates.forEach(({ subtask }, index) => {
+        if (results[index].errors?.length) changesById.delete(subtask.id);
+      });
+      setSubtasks(current => current.map(applyChanges));
+      if (errors.length) {
+        throw new Error(errors[0].message);
+      }
+    }
+  }
+
+  // Toggle a subtask and complete the parent todo once every step is done
+  async function toggleSubtask(subtask: Subtask) {
+    const completed = !subtask.completed;
+
+    try {
+      await updateSubtasks([{ subtask, changes: { completed } }]);
+
+      const parent = allTodos.find(todo => todo.id === subtask.todoId);
+      const allDone = getSubtasks(subtask.todoId)
+        .every(s => (s.id === subtask.id ? completed : s.completed));
+
+      if (autoCompleteParents && parent && !parent.completed && allDone) {
+        await updateTodo(parent, getCompletionChanges(true));
+      }
+    } catch (err) {
+      console.error("Error updating subtask:", err);
+      setError("Failed to update step. Please try again.");
+    }
+  }
+
+  // Swap a subtask with its neighbour above or below
+  async function moveSubtask(subtask: Subtask, direction: -1 | 1) {
+    const siblings = getSubtasks(subtask.todoId);
+    const index = siblings.findIndex(s => s.id === subtask.id);
+    const neighbour = siblings[index + direction];
+    if (!neighbour) return;
+
+    try {
+      await updateSubtasks([
+        { subtask, changes: { position: neighbour.position } },
+        { subtask: neighbour, changes: { position: subtask.position } },
+      ]);
+    } catch (err) {
+      console.error("Error reordering subtasks:", err);
+      setError("Failed to reorder steps. Please try again.");
+    }
+  }
+
+  // Remove a subtask
+  async function deleteSubtask(subtask: Subtask) {
+    try {
+      if (isLocal && !isConnected) {
+        // Delete subtask locally
+        setLocalSubtasks(localSubtasks.filter(s => s.id !== subtask.id));
+        enqueueMutation({ model: 'Subtask', type: 'delete', todoId: subtask.todoId, recordId: subtask.id });
+      } else {
+        // Delete subtask in the backend
+        const { errors } = await client.models.Subtask.delete({ id: subtask.id });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+        setSubtasks(current => current.filter(s => s.id !== subtask.id));
+      }
+    } catch (err) {
+      console.error("Error deleting subtask:", err);
+      setError("Failed to remove step. Please try again.");
+    }
+  }
+
+  const subtaskActions: SubtaskActions = {
+    onAdd: createSubtask,
+    onAddMany: createSubtasks,
+    onToggle: toggleSubtask,
+    onMove: moveSubtask,
+    onDelete: deleteSubtask,
+  };
+
+  // Update and persist the subtask auto-complete preference
+  function changeAutoCompleteParents(enabled: boolean) {
+    setAutoCompleteParents(enabled);
+    getLocalStorage()?.setItem('autoCompleteParents', String(enabled));
+  }
+
+  // Update and persist the limit on a board column
+  function changeWipLimit(status: TodoStatus, limit: number | null) {
+    const { [status]: _previous, ...rest } = wipLimits;
+    const limits: WipLimits = limit === null ? rest : { ...rest, [status]: limit };
+    setWipLimits(limits);
+    getLocalStorage()?.setItem('wipLimits', JSON.stringify(limits));
+  }
+
+  // Create a new project (list)
+  async function createProject(name: string) {
+    try {
+      if (isLocal && !isConnected) {
+        // Create project locally
+        const newProject: Project = {
+          id: Date.now().toString(),
+          name,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          owner: auth?.user?.username || 'local-user',
+        } as Project;
+
+        setLocalProjects([...localProjects, newProject]);
+        setSelectedProjectId(newProject.id);
+        enqueueMutation({
+          model: 'Project',
+          type: 'create',
+          projectId: newProject.id,
+          fields: { name, createdAt: newProject.createdAt, updatedAt: newProject.updatedAt },
+        });
+      } else {
+        // Create project in the backend
+        const { data: createdProject, errors } = await client.models.Project.create({
+          name,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+
+        if (createdProject) {
+          setProjects([...projects, createdProject]);
+          setSelectedProjectId(createdProject.id);
+        }
+      }
+    } catch (err) {
+      console.error("Error creating project:", err);
+      setError("Failed to create list. Please try again.");
+    }
+  }
+
+  // Rename a project
+  async function renameProject(id: string, name: string) {
+    try {
+      if (isLocal && !isConnected) {
+        // Rename project locally
+        const updatedAt = new Date().toISOString();
+        setLocalProjects(localProjects.map(p =>
+          p.id === id ? { ...p, name, updatedAt } : p
+        ));
+        if (getSyncedProjectId(id)) {
+          enqueueMutation({ model: 'Project', type: 'update', projectId: id, fields: { name, updatedAt } });
+        }
+      } else {
+        // Rename project in the backend
+        const { data: updatedProject, errors } = await client.models.Project.update({
+          id,
+          name,
+          updatedAt: new Date().toISOString(),
+        });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+
+        if (updatedProject) {
+          setProjects(projects.map(p => p.id === updatedProject.id ? updatedProject : p));
+        }
+      }
+    } catch (err) {
+      console.error("Error renaming project:", err);
+      setError("Failed to rename list. Please try again.");
+    }
+  }
+
+  // Delete a project, moving its todos out of the list rather than deleting them
+  async function deleteProject(id: string) {
+    try {
+      if (isLocal && !isConnected) {
+        // Delete project locally; replaying the delete moves its todos out in the backend too
+        setLocalTodos(localTodos.map(t =>
+          t.projectId === id ? { ...t, projectId: null, updatedAt: new Date().toISOString() } : t
+        ));
+        setLocalProjects(localProjects.filter(p => p.id !== id));
+        if (getSyncedProjectId(id)) {
+          enqueueMutation({ model: 'Project', type: 'delete', projectId: id });
+        }
+      } else {
+        // Detach the project's todos, then delete the project in the backend
+        const updatedAt = new Date().toISOString();
+        await deleteBackendProject(id, updatedAt);
+
+        setTodos(current => current.map(t => t.projectId === id ? { ...t, projectId: null, updatedAt } : t));
+        setProjects(current => current.filter(p => p.id !== id));
+      }
+
+      if (selectedProjectId === id) {
+        setSelectedProjectId(null);
+      }
+    } catch (err) {
+      console.error("Error deleting project:", err);
+      setError("Failed to delete list. Please try again.");
     }
   }
 
@@ -210,7 +1878,17 @@ export function TodoList() {
 
   return (
     <View padding={tokens.space.medium}>
-      <Heading level={2}>My Todo List</Heading>
+      <Flex direction="row" alignItems="center" gap={tokens.space.small}>
+        <Heading level={2}>My Todo List</Heading>
+        {!isLocalMode && (
+          <Badge size="small" variation={SYNC_STATUS_BADGES[syncStatus].variation}>
+            {SYNC_STATUS_BADGES[syncStatus].label}
+          </Badge>
+        )}
+        <Button size="small" variation="link" marginLeft="auto" onClick={() => setShowShortcuts(true)}>
+          Keyboard shortcuts (?)
+        </Button>
+      </Flex>
 
       {error && <Text color="red">{error}</Text>}
 
@@ -230,9 +1908,55 @@ export function TodoList() {
         </Flex>
       )}
 
+      {outbox.length > 0 && (
+        <View marginBottom={tokens.space.small}>
+          <Text fontSize={tokens.fontSizes.xs}>
+            {outbox.length} {outbox.length === 1 ? 'change' : 'changes'} waiting to sync
+          </Text>
+          {outbox.filter(entry => entry.error).map(entry => (
+            <Flex key={entry.id} alignItems="center" gap={tokens.space.xs}>
+              <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.error}>
+                Failed to sync {entry.type} of {
+                  entry.model === 'Subtask' ? 'a step on ' : entry.model === 'TodoTag' ? 'a tag on ' : entry.model === 'Project' ? 'the list ' : ''
+                }&quot;{getOutboxEntryLabel(entry)}&quot;: {entry.error}
+              </Text>
+              <Button size="small" variation="link" onClick={() => retryOutboxEntry(entry.id)}>
+                Retry
+              </Button>
+              <Button size="small" variation="link" onClick={() => discardOutboxEntry(entry.id)}>
+                Discard
+              </Button>
+            </Flex>
+          ))}
+        </View>
+      )}
+
+      <ProjectSelector
+        projects={displayProjects}
+        selectedProjectId={selectedProjectId}
+        onSelect={setSelectedProjectId}
+        onCreate={createProject}
+        onRename={renameProject}
+        onDelete={deleteProject}
+      />
+
+      {dueReminders.map(todo => (
+        <Flex key={todo.id} alignItems="center" marginBottom={tokens.space.xs}>
+          <Text color={tokens.colors.font.warning}>Reminder: {todo.content}</Text>
+          <Button
+            size="small"
+            variation="link"
+            onClick={() => setDueReminders(dueReminders.filter(t => t.id !== todo.id))}
+          >
+            Dismiss
+          </Button>
+        </Flex>
+      ))}
+
       <form onSubmit={createTodo}>
         <Flex direction="row" alignItems="center">
           <TextField
+            ref={newTodoInputRef}
             label="New Todo"
             labelHidden
             placeholder="What needs to be done?"
@@ -243,49 +1967,182 @@ export function TodoList() {
           <Button type="submit" variation="primary" marginLeft={tokens.space.small}>
             Add
           </Button>
+          <Button
+            marginLeft={tokens.space.xs}
+            onClick={startQuickAdd}
+            isDisabled={!newTodo.trim() || isParsing}
+            title="Work out the due date, priority and #tags from the text"
+          >
+            Quick add
+          </Button>
+        </Flex>
+        {isParsing && <Loader variation="linear" />}
+        {quickAddText !== null && parseFailed && !isParsing && (
+          <Text fontSize={tokens.fontSizes.small} color={tokens.colors.font.error}>
+            Couldn't work out a todo from that. Add it as typed, or try again.
+          </Text>
+        )}
+        {quickAddDraft && (
+          <QuickAddPreview
+            draft={quickAddDraft}
+            tags={allTags}
+            onChange={setQuickAddDraft}
+            onAccept={acceptQuickAdd}
+            onDiscard={discardQuickAdd}
+          />
+        )}
+        <Flex direction="row" alignItems="center" wrap="wrap" gap={tokens.space.small} marginTop={tokens.space.xs}>
+          <TextField
+            label="Due"
+            type="datetime-local"
+            size="small"
+            value={newDueAt}
+            onChange={(e) => setNewDueAt(e.target.value)}
+          />
+          <SelectField
+            label="Priority"
+            size="small"
+            value={newPriority}
+            onChange={(e) => setNewPriority(e.target.value as TodoPriority | "")}
+          >
+            <option value="">None</option>
+            {TODO_PRIORITIES.map(priority => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </SelectField>
+          <TagInput tags={allTags} value={newTags} onChange={setNewTags} />
+          <RecurrenceEditor value={newRecurrence} onChange={setNewRecurrence} />
         </Flex>
       </form>
 
-      <View marginTop={tokens.space.medium}>
-        {displayTodos.length === 0 ? (
-          <Text>No todos yet. Add one above!</Text>
-        ) : (
-          displayTodos.map((todo) => (
-            <Flex
-              key={todo.id}
-              direction="row"
-              alignItems="center"
-              padding={tokens.space.small}
-              backgroundColor={tokens.colors.background.secondary}
-              marginBottom={tokens.space.xs}
-              borderRadius={tokens.radii.small}
-            >
-              <CheckboxField
-                label=""
-                name={`todo-${todo.id}`}
-                value={todo.id}
-                checked={todo.completed === true}
-                onChange={() => toggleTodoStatus(todo)}
-              />
-              <Text
-                flex="1"
-                marginLeft={tokens.space.xs}
-                textDecoration={todo.completed ? "line-through" : "none"}
-                color={todo.completed ? tokens.colors.font.tertiary : tokens.colors.font.primary}
-              >
-                {todo.content}
-              </Text>
-              <Button
-                size="small"
-                variation="link"
-                onClick={() => deleteTodo(todo.id)}
-              >
-                Delete
+      <Flex direction="row" alignItems="flex-end" gap={tokens.space.small}>
+        <View flex="1">
+          <TodoToolbar view={view} onChange={updateView} />
+        </View>
+        <Button size="small" variation="link" onClick={() => setShowTrash(!showTrash)}>
+          {showTrash ? 'Back to todos' : `Trash (${trashedTodos.length})`}
+        </Button>
+      </Flex>
+
+      <TagFilter tags={allTags} selectedTagIds={tagFilter} onChange={setTagFilter} />
+
+      <SwitchField
+        label="Complete a todo when all of its steps are done"
+        size="small"
+        marginTop={tokens.space.small}
+        isChecked={autoCompleteParents}
+        onChange={(e) => changeAutoCompleteParents(e.target.checked)}
+      />
+
+      {showTrash ? (
+        <TrashList
+          todos={trashedTodos}
+          failures={todoFailures}
+          onRestore={restoreTodo}
+          onDeleteForever={deleteTodo}
+          onEmpty={emptyTrash}
+        />
+      ) : layout === 'board' ? (
+        <TodoBoard
+          todos={displayTodos}
+          wipLimits={wipLimits}
+          onChangeWipLimit={changeWipLimit}
+          onMove={moveTodoToStatus}
+          focusedTodoId={focusedTodoId}
+          onFocus={setFocusedTodoId}
+        />
+      ) : (
+        <>
+        <BulkActionsBar
+          selectedCount={selectedTodos.length}
+          selectableCount={selectableTodos.length}
+          projects={displayProjects}
+          onSelectAll={selectAllTodos}
+          onComplete={() => bulkUpdateTodos('complete')}
+          onUncomplete={() => bulkUpdateTodos('uncomplete')}
+          onDelete={() => bulkUpdateTodos('trash')}
+          onMove={(projectId) => bulkUpdateTodos('move', projectId)}
+        />
+
+        <View marginTop={tokens.space.medium}>
+          {displayTodos.length === 0 ? (
+            <Text>
+              {viewKey
+                ? 'No todos match the current search and filters.'
+                : selectedProjectId ? 'No todos in this list yet. Add one above!' : 'No todos yet. Add one above!'}
+            </Text>
+          ) : (
+            DUE_GROUP_ORDER.filter(group => groupedTodos[group].length > 0).map(group => (
+              <View key={group} marginBottom={tokens.space.small}>
+                <Heading level={5} marginBottom={tokens.space.xs}>
+                  {DUE_GROUP_LABELS[group]} ({allGroupedTodos[group].length})
+                </Heading>
+                {groupedTodos[group].map(todo => (
+                  <TodoItem
+                    key={todo.id}
+                    todo={todo}
+                    subtasks={getSubtasks(todo.id)}
+                    tags={getTodoTags(todo.id)}
+                    onTagClick={(tag) => !tagFilter.includes(tag.id) && setTagFilter([...tagFilter, tag.id])}
+                    subtaskActions={subtaskActions}
+                    onToggle={toggleTodoStatus}
+                    onUpdate={editTodo}
+                    onDelete={trashTodo}
+                    isPending={pendingTodoIds.has(todo.id)}
+                    failure={todoFailures[todo.id]}
+                    onDismissFailure={() => clearTodoFailure(todo.id)}
+                    reorder={getTodoReorder(todo, allGroupedTodos[group])}
+                    isSelected={selectedTodoIds.has(todo.id)}
+                    onSelect={(extendRange) => selectTodo(todo.id, extendRange)}
+                    isFocused={todo.id === focusedTodoId}
+                    onFocus={() => setFocusedTodoId(todo.id)}
+                    isEditRequested={todo.id === editRequestedId}
+                    onEditRequestHandled={() => setEditRequestedId(null)}
+                  />
+                ))}
+              </View>
+            ))
+          )}
+        </View>
+
+        {displayTodos.length > 0 && (
+          <Flex direction="row" alignItems="center" justifyContent="space-between" marginTop={tokens.space.small}>
+            <Text fontSize={tokens.fontSizes.xs}>
+              Showing {Math.min(visibleCount, displayTodos.length)} of {displayTodos.length}
+            </Text>
+            {hasMoreTodos && (
+              <Button size="small" onClick={loadMoreTodos}>
+                Load more
               </Button>
-            </Flex>
-          ))
+            )}
+            <SelectField
+              label="Per page"
+              size="small"
+              value={String(pageSize)}
+              onChange={(e) => setPageSize(Number(e.target.value))}
+            >
+              {LIST_PAGE_SIZES.map(size => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </SelectField>
+          </Flex>
         )}
-      </View>
+        <div ref={loadMoreRef} />
+        </>
+      )}
+
+      {showPalette && (
+        <CommandPalette commands={getPaletteCommands()} onClose={() => setShowPalette(false)} />
+      )}
+      {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+
+      {undoToast && (
+        <UndoToast message={undoToast} onUndo={undo} onDismiss={() => setUndoToast(null)} />
+      )}
     </View>
   );
 }
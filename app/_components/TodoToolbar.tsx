@@ -0,0 +1,106 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button, Flex, SearchField, SelectField, useTheme } from "@aws-amplify/ui-react";
+import { TODO_PRIORITIES, TodoPriority } from "@/utils/todoDates";
+import {
+  DEFAULT_TODO_VIEW,
+  TODO_SORT_LABELS,
+  TodoSort,
+  TodoStatusFilter,
+  TodoView,
+} from "@/utils/todoView";
+
+// Wait for a pause in typing before putting the search in the URL
+const SEARCH_DEBOUNCE_MS = 300;
+
+type TodoToolbarProps = {
+  view: TodoView;
+  onChange: (changes: Partial<TodoView>) => void;
+};
+
+export function TodoToolbar({ view, onChange }: TodoToolbarProps) {
+  const [query, setQuery] = useState(view.query);
+  const { tokens } = useTheme();
+
+  // Follow the URL when it changes from outside, e.g. back/forward navigation
+  useEffect(() => {
+    setQuery(view.query);
+  }, [view.query]);
+
+  // Push the search text to the view once typing settles
+  useEffect(() => {
+    if (query === view.query) return;
+
+    const timeout = setTimeout(() => onChange({ query }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [query, view.query, onChange]);
+
+  const isFiltered = view.query !== DEFAULT_TODO_VIEW.query
+    || view.status !== DEFAULT_TODO_VIEW.status
+    || view.priority !== DEFAULT_TODO_VIEW.priority
+    || view.tagIds.length > 0;
+
+  return (
+    <Flex direction="row" alignItems="flex-end" wrap="wrap" gap={tokens.space.small} marginTop={tokens.space.small}>
+      <SearchField
+        label="Search todos"
+        labelHidden
+        size="small"
+        placeholder="Search todos"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onClear={() => setQuery("")}
+        hasSearchButton={false}
+        flex="1"
+      />
+      <SelectField
+        label="Show"
+        size="small"
+        value={view.status}
+        onChange={(e) => onChange({ status: e.target.value as TodoStatusFilter })}
+      >
+        <option value="all">All</option>
+        <option value="active">Active</option>
+        <option value="completed">Completed</option>
+      </SelectField>
+      <SelectField
+        label="Priority"
+        size="small"
+        value={view.priority}
+        onChange={(e) => onChange({ priority: e.target.value as TodoPriority | "" })}
+      >
+        <option value="">Any</option>
+        {TODO_PRIORITIES.map(priority => (
+          <option key={priority} value={priority}>
+            {priority}
+          </option>
+        ))}
+      </SelectField>
+      <SelectField
+        label="Sort"
+        size="small"
+        value={view.sort}
+        onChange={(e) => onChange({ sort: e.target.value as TodoSort })}
+      >
+        {(Object.keys(TODO_SORT_LABELS) as TodoSort[]).map(sort => (
+          <option key={sort} value={sort}>
+            {TODO_SORT_LABELS[sort]}
+          </option>
+        ))}
+      </SelectField>
+      {isFiltered && (
+        <Button
+          size="small"
+          variation="link"
+          onClick={() => {
+            setQuery("");
+            onChange({ ...DEFAULT_TODO_VIEW, sort: view.sort });
+          }}
+        >
+          Clear filters
+        </Button>
+      )}
+    </Flex>
+  );
+}
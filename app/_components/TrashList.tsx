@@ -0,0 +1,85 @@
+"use client";
+
+import { Schema } from "@/amplify/data/resource";
+import { Button, Flex, Heading, Text, View, useTheme } from "@aws-amplify/ui-react";
+import { TRASH_RETENTION_DAYS, getPurgeDate } from "@/utils/trash";
+import { TodoFailure } from "./TodoItem";
+import { Markdown } from "./Markdown";
+
+type Todo = Schema["Todo"]["type"];
+
+type TrashListProps = {
+  todos: Todo[];
+  failures: Record<string, TodoFailure>;
+  onRestore: (todo: Todo) => void;
+  onDeleteForever: (id: string) => void;
+  onEmpty: () => void;
+};
+
+export function TrashList({ todos, failures, onRestore, onDeleteForever, onEmpty }: TrashListProps) {
+  const { tokens } = useTheme();
+
+  // Most recently deleted first
+  const sortedTodos = [...todos].sort((a, b) => (b.deletedAt ?? '').localeCompare(a.deletedAt ?? ''));
+
+  return (
+    <View marginTop={tokens.space.medium}>
+      <Flex direction="row" alignItems="center" justifyContent="space-between">
+        <Heading level={5}>Trash ({todos.length})</Heading>
+        {todos.length > 0 && (
+          <Button
+            size="small"
+            variation="destructive"
+            onClick={() => window.confirm(`Permanently delete ${todos.length} todo${todos.length === 1 ? '' : 's'}?`) && onEmpty()}
+          >
+            Empty trash
+          </Button>
+        )}
+      </Flex>
+      <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary} marginBottom={tokens.space.xs}>
+        Deleted todos are removed for good after {TRASH_RETENTION_DAYS} days.
+      </Text>
+
+      {todos.length === 0 && <Text>The trash is empty.</Text>}
+
+      {sortedTodos.map(todo => (
+        <View
+          key={todo.id}
+          padding={tokens.space.small}
+          backgroundColor={tokens.colors.background.secondary}
+          marginBottom={tokens.space.xs}
+          borderRadius={tokens.radii.small}
+        >
+          <Flex direction="row" alignItems="center">
+            <Text flex="1" color={tokens.colors.font.tertiary}>
+              <Markdown inline>{todo.content}</Markdown>
+            </Text>
+            <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.secondary}>
+              Purged {getPurgeDate(todo)?.toLocaleDateString()}
+            </Text>
+            <Button size="small" variation="link" onClick={() => onRestore(todo)}>
+              Restore
+            </Button>
+            <Button
+              size="small"
+              variation="link"
+              onClick={() => window.confirm(`Permanently delete "${todo.content}"?`) && onDeleteForever(todo.id)}
+            >
+              Delete forever
+            </Button>
+          </Flex>
+          {failures[todo.id] && (
+            <Flex direction="row" alignItems="center" gap={tokens.space.xs} marginTop={tokens.space.xxs}>
+              <Text fontSize={tokens.fontSizes.xs} color={tokens.colors.font.error}>
+                {failures[todo.id].message}
+              </Text>
+              <Button size="small" variation="link" onClick={failures[todo.id].onRetry}>
+                Retry
+              </Button>
+            </Flex>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
@@ -0,0 +1,35 @@
+"use client";
+
+import { Button, Flex, Text, useTheme } from "@aws-amplify/ui-react";
+
+type UndoToastProps = {
+  message: string;
+  onUndo: () => void;
+  onDismiss: () => void;
+};
+
+export function UndoToast({ message, onUndo, onDismiss }: UndoToastProps) {
+  const { tokens } = useTheme();
+
+  return (
+    <Flex
+      role="status"
+      direction="row"
+      alignItems="center"
+      gap={tokens.space.small}
+      padding={`${tokens.space.xs} ${tokens.space.medium}`}
+      backgroundColor={tokens.colors.background.tertiary}
+      borderRadius={tokens.radii.medium}
+      boxShadow="medium"
+      style={{ position: 'fixed', bottom: '1.5rem', left: '50%', transform: 'translateX(-50%)', zIndex: 10 }}
+    >
+      <Text fontSize={tokens.fontSizes.small}>{message}</Text>
+      <Button size="small" variation="link" onClick={onUndo}>
+        Undo
+      </Button>
+      <Button size="small" variation="link" onClick={onDismiss} aria-label="Dismiss">
+        ×
+      </Button>
+    </Flex>
+  );
+}
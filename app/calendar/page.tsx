@@ -0,0 +1,18 @@
+"use client";
+
+import { TodoCalendar } from "../_components/TodoCalendar";
+import { Flex, Heading, View, useTheme } from "@aws-amplify/ui-react";
+import "@aws-amplify/ui-react/styles.css";
+
+export default function CalendarPage() {
+  const { tokens } = useTheme();
+
+  return (
+    <View padding={tokens.space.large}>
+      <Flex direction="column" gap={tokens.space.medium}>
+        <Heading level={1}>Calendar</Heading>
+        <TodoCalendar />
+      </Flex>
+    </View>
+  );
+}
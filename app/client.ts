@@ -2,9 +2,11 @@ import { Schema } from "@/amplify/data/resource";
 import { createAIHooks } from "@aws-amplify/ui-react-ai";
 import { generateClient } from "aws-amplify/api";
 
-// Configure the client to use the cloud endpoint for both environments
+// Configure the client to use the cloud endpoint for both environments. Records are owned
+// by the signed-in user, so requests go as that user: the owner rule stamps `owner` on the
+// records they create, and only the owner may update or delete them.
 const clientConfig: any = {
-  authMode: "apiKey"
+  authMode: "userPool"
 };
 
 // Create the client
@@ -0,0 +1,18 @@
+"use client";
+
+import { TodoDashboard } from "../_components/TodoDashboard";
+import { Flex, Heading, View, useTheme } from "@aws-amplify/ui-react";
+import "@aws-amplify/ui-react/styles.css";
+
+export default function DashboardPage() {
+  const { tokens } = useTheme();
+
+  return (
+    <View padding={tokens.space.large}>
+      <Flex direction="column" gap={tokens.space.medium}>
+        <Heading level={1}>Dashboard</Heading>
+        <TodoDashboard />
+      </Flex>
+    </View>
+  );
+}
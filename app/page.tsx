@@ -1,17 +1,47 @@
 "use client";
 
-import { TodoList } from "./_components/TodoList";
-import { Flex, Heading, View, useTheme } from "@aws-amplify/ui-react";
+import { Suspense, useEffect, useState } from "react";
+import { TodoLayout, TodoList } from "./_components/TodoList";
+import { Flex, Heading, ToggleButton, ToggleButtonGroup, View, useTheme } from "@aws-amplify/ui-react";
 import "@aws-amplify/ui-react/styles.css";
 
 export default function Home() {
   const { tokens } = useTheme();
+  const [layout, setLayout] = useState<TodoLayout>('list');
+
+  // Reopen the layout that was last used
+  useEffect(() => {
+    const storedLayout = window.localStorage.getItem('todoLayout');
+    if (storedLayout === 'list' || storedLayout === 'board') {
+      setLayout(storedLayout);
+    }
+  }, []);
+
+  function changeLayout(next: TodoLayout) {
+    setLayout(next);
+    window.localStorage.setItem('todoLayout', next);
+  }
 
   return (
     <View padding={tokens.space.large}>
       <Flex direction="column" gap={tokens.space.medium}>
-        <Heading level={1}>AWS Amplify Gen2 Todo App</Heading>
-        <TodoList />
+        <Flex direction="row" alignItems="center" justifyContent="space-between" wrap="wrap">
+          <Heading level={1}>AWS Amplify Gen2 Todo App</Heading>
+          <ToggleButtonGroup
+            size="small"
+            isExclusive
+            isSelectionRequired
+            value={layout}
+            onChange={(value) => changeLayout(value as TodoLayout)}
+          >
+            <ToggleButton value="list">List</ToggleButton>
+            <ToggleButton value="board">Board</ToggleButton>
+          </ToggleButtonGroup>
+        </Flex>
+        {/* TodoList reads its filters from the URL, which needs a Suspense boundary */}
+        <Suspense>
+          <TodoList layout={layout} />
+        </Suspense>
       </Flex>
     </View>
   );
@@ -0,0 +1,99 @@
+import { Schema } from "@/amplify/data/resource";
+import { client } from "@/app/client";
+import { DEFAULT_PAGE_SIZE, listAllPages } from "@/utils/pagination";
+import { ChatToolName, ChatToolOutput, findChatTodos, toChatTodo } from "@/utils/chatTools";
+import { getRescheduleChanges } from "@/utils/todoDates";
+import { getTopPosition } from "@/utils/todoOrder";
+import { getCompletionChanges } from "@/utils/todoStatus";
+
+type Todo = Schema["Todo"]["type"];
+
+// The tools go through the user pool client, so the owner rule limits them to the signed-in user's todos
+
+async function listOwnTodos() {
+  const limit = DEFAULT_PAGE_SIZE;
+  return listAllPages((nextToken) => client.models.Todo.list({ limit, nextToken }));
+}
+
+async function getOwnTodo(id: string) {
+  const { data, errors } = await client.models.Todo.get({ id });
+  if (errors?.length) {
+    throw new Error(errors[0].message);
+  }
+  if (!data || data.deletedAt) {
+    throw new Error(`There's no todo with id ${id}`);
+  }
+  return data;
+}
+
+function parseDate(value: string) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`"${value}" isn't a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Run a tool the assistant asked for, answering with what it found or changed.
+ * Errors are passed back to the assistant rather than thrown.
+ */
+export async function runChatTool(name: ChatToolName, input: Record<string, any>): Promise<ChatToolOutput> {
+  try {
+    switch (name) {
+      case 'listTodos':
+      case 'searchTodos':
+        return { todos: findChatTodos(await listOwnTodos(), input) };
+
+      case 'createTodo': {
+        const now = new Date().toISOString();
+        const { data, errors } = await client.models.Todo.create({
+          content: input.content,
+          notes: input.notes || null,
+          ...getCompletionChanges(false),
+          dueAt: input.dueAt ? parseDate(input.dueAt) : null,
+          priority: input.priority ?? null,
+          position: getTopPosition(await listOwnTodos()),
+          createdAt: now,
+          updatedAt: now,
+        });
+        if (errors?.length || !data) {
+          throw new Error(errors?.[0]?.message ?? 'The backend did not return the created todo');
+        }
+        return { todo: toChatTodo(data) };
+      }
+
+      case 'completeTodo': {
+        const todo = await getOwnTodo(input.id);
+        const { data: next, errors } = await client.mutations.completeTodo({
+          id: todo.id,
+          completed: true,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        });
+        if (errors?.length) {
+          throw new Error(errors[0].message);
+        }
+        return {
+          todo: toChatTodo({ ...todo, ...getCompletionChanges(true), recurrence: null }),
+          next: next ? toChatTodo(next as Todo) : null,
+        };
+      }
+
+      case 'rescheduleTodo': {
+        const todo = await getOwnTodo(input.id);
+        const { data, errors } = await client.models.Todo.update({
+          id: todo.id,
+          ...getRescheduleChanges(todo, input.dueAt ? parseDate(input.dueAt) : null),
+          updatedAt: new Date().toISOString(),
+        });
+        if (errors?.length || !data) {
+          throw new Error(errors?.[0]?.message ?? 'The backend did not return the updated todo');
+        }
+        return { todo: toChatTodo(data) };
+      }
+    }
+  } catch (err) {
+    console.error(`Error running chat tool ${name}:`, err);
+    return { error: err instanceof Error ? err.message : String(err) };
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Script to check that todos created the way the list creates them can be changed by the app and the custom mutations
+ *
+ * Signs in as a user and, for each check, creates a todo through the user pool client
+ * like the app does, changes it and deletes what it made. Only a todo's owner may
+ * update or delete it, so the checks fail if new todos are stored without an owner
+ * or the changes are sent without signing in.
+ *
+ * Usage: CHECK_EMAIL=you@example.com CHECK_PASSWORD=... node scripts/check-todo-mutations.js
+ */
+
+const { Amplify } = require('aws-amplify');
+const { signIn, signOut } = require('aws-amplify/auth');
+const { generateClient } = require('aws-amplify/api');
+const fs = require('fs');
+const path = require('path');
+
+// Get the Amplify configuration
+const amplifyOutputs = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'amplify_outputs.json'), 'utf8'));
+
+Amplify.configure(amplifyOutputs);
+
+const client = generateClient({ authMode: 'userPool' });
+
+/**
+ * Throw the first GraphQL error, if any
+ */
+function throwErrors(errors, what) {
+  if (errors?.length) {
+    throw new Error(`${what}: ${errors[0].message}`);
+  }
+}
+
+// Each check gets a newly created todo and returns the ids of any other todos or steps it made
+const checks = {
+  bulkUpdateTodos: {
+    fields: {},
+    run: async (todo) => {
+      const { errors } = await client.mutations.bulkUpdateTodos({ action: 'complete', todoIds: [todo.id] });
+      throwErrors(errors, 'bulkUpdateTodos could not complete the todo');
+
+      const { data: updated, errors: getErrors } = await client.models.Todo.get({ id: todo.id });
+      throwErrors(getErrors, 'could not read the todo back');
+      if (!updated?.completed) {
+        throw new Error('bulkUpdateTodos did not complete the todo');
+      }
+      return {};
+    },
+  },
+  completeTodo: {
+    fields: { recurrence: 'FREQ=DAILY', dueAt: new Date().toISOString() },
+    run: async (todo) => {
+      const { data: nextTodo, errors } = await client.mutations.completeTodo({ id: todo.id, completed: true });
+      throwErrors(errors, 'completeTodo could not complete the todo');
+      if (!nextTodo) {
+        throw new Error('completeTodo did not create the next occurrence');
+      }
+      return { todoIds: [nextTodo.id] };
+    },
+  },
+  createSubtasks: {
+    fields: {},
+    run: async (todo) => {
+      const titles = ['First step', 'Second step'];
+      const { data: created, errors } = await client.mutations.createSubtasks({ todoId: todo.id, titles, firstPosition: 0 });
+      throwErrors(errors, 'createSubtasks could not add the steps');
+      if (created?.length !== titles.length) {
+        throw new Error('createSubtasks did not return the new steps');
+      }
+      return { subtaskIds: created.map(subtask => subtask.id) };
+    },
+  },
+  // The app edits todos, steps and tag links directly, which only their owner may do
+  ownerUpdates: {
+    fields: {},
+    run: async (todo) => {
+      const { errors: updateErrors } = await client.models.Todo.update({ id: todo.id, priority: 'high' });
+      throwErrors(updateErrors, 'could not update the todo');
+
+      const { data: subtask, errors: subtaskErrors } = await client.models.Subtask.create({ todoId: todo.id, title: 'Step', position: 0 });
+      throwErrors(subtaskErrors, 'could not add a step');
+      const { errors: subtaskUpdateErrors } = await client.models.Subtask.update({ id: subtask.id, completed: true });
+      throwErrors(subtaskUpdateErrors, 'could not update the step');
+      const { errors: subtaskDeleteErrors } = await client.models.Subtask.delete({ id: subtask.id });
+      throwErrors(subtaskDeleteErrors, 'could not delete the step');
+
+      const { data: tag, errors: tagErrors } = await client.models.Tag.create({ name: 'check' });
+      throwErrors(tagErrors, 'could not create a tag');
+      const { data: link, errors: linkErrors } = await client.models.TodoTag.create({ todoId: todo.id, tagId: tag.id });
+      throwErrors(linkErrors, 'could not tag the todo');
+      const { errors: linkDeleteErrors } = await client.models.TodoTag.delete({ id: link.id });
+      throwErrors(linkDeleteErrors, 'could not remove the tag');
+      const { errors: tagDeleteErrors } = await client.models.Tag.delete({ id: tag.id });
+      throwErrors(tagDeleteErrors, 'could not delete the tag');
+      return {};
+    },
+  },
+  // todoStats reads through the owner index, so a todo without an owner isn't counted
+  todoStats: {
+    fields: {},
+    run: async (todo) => {
+      const getOpenCount = async () => {
+        const { data: stats, errors } = await client.queries.todoStats({ days: 1 });
+        throwErrors(errors, 'todoStats failed');
+        return stats.openCount;
+      };
+
+      const openCount = await getOpenCount();
+      const { errors } = await client.mutations.bulkUpdateTodos({ action: 'complete', todoIds: [todo.id] });
+      throwErrors(errors, 'bulkUpdateTodos could not complete the todo');
+      if (await getOpenCount() !== openCount - 1) {
+        throw new Error('todoStats did not count the todo');
+      }
+      return {};
+    },
+  },
+};
+
+async function runCheck(name, { fields, run }) {
+  const { data: todo, errors } = await client.models.Todo.create({
+    content: `${name} check at ${new Date().toISOString()}`,
+    completed: false,
+    ...fields,
+  });
+  throwErrors(errors, 'could not create the todo');
+  if (!todo?.owner) {
+    throw new Error('the todo was stored without an owner');
+  }
+
+  let made = {};
+  try {
+    made = await run(todo);
+  } finally {
+    // Deleted together, as the app deletes a todo with its steps
+    const todoIds = [todo.id, ...(made.todoIds ?? [])];
+    const { errors: deleteErrors } = await client.mutations.bulkUpdateTodos({
+      action: 'delete',
+      todoIds,
+      subtaskIds: made.subtaskIds ?? [],
+    });
+    throwErrors(deleteErrors, `could not delete the todos ${todoIds.join(', ')}`);
+  }
+}
+
+async function checkTodoMutations() {
+  const { CHECK_EMAIL: username, CHECK_PASSWORD: password } = process.env;
+  if (!username || !password) {
+    throw new Error('set CHECK_EMAIL and CHECK_PASSWORD to a user that can sign in');
+  }
+
+  await signIn({ username, password });
+  try {
+    for (const [name, check] of Object.entries(checks)) {
+      try {
+        await runCheck(name, check);
+        console.log(`${name}: ok`);
+      } catch (error) {
+        console.error(`${name}: ${error.message}`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    await signOut();
+  }
+}
+
+checkTodoMutations().catch((error) => {
+  console.error(`Check failed: ${error.message}`);
+  process.exitCode = 1;
+});
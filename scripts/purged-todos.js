@@ -0,0 +1,239 @@
+/**
+ * Todos deleted for good, shared by the sync scripts so they all treat them the same way
+ *
+ * The app deletes a Todo for good (bulkUpdateTodos' delete) by deleting its subtasks
+ * and tag links, recording it as a PurgedTodo and deleting the Todo itself. The
+ * scripts read these records from each environment and delete the copies there
+ * instead of bringing them back, and delete Todos for good the same way, with
+ * purgeTodo, so the deletion reaches every other environment too.
+ *
+ * An environment is what a script reads and writes, backed by its own client:
+ *
+ *   name                       e.g. 'local', 'deployed' or 'cloud', for log messages
+ *   log(message, type)         the script's logger
+ *   listPurgedTodoIds()        the ids of the Todos recorded as PurgedTodos there
+ *   deleteTodoChildren(todo)   delete a Todo's subtasks and tag links there
+ *   recordPurgedTodo(todo)     record a Todo as a PurgedTodo there
+ *   deleteTodo(todo)           delete a Todo there
+ */
+
+const { DeleteCommand, PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Number of items requested per page when listing
+const SYNC_PAGE_SIZE = Number(process.env.SYNC_PAGE_SIZE) || 100;
+
+// Days a deleted Todo stays in the trash before it's purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Check whether a Todo is a tombstone older than the trash retention period
+ */
+function isExpiredTombstone(todo) {
+  if (!todo.deletedAt) return false;
+  return Date.now() - new Date(todo.deletedAt).getTime() > TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * An environment backed by DynamoDB tables. `getTableName` gives a model's table name.
+ */
+function createDynamoDBEnvironment(name, docClient, getTableName, log) {
+  const tableNames = {};
+  const tableName = async (model) => tableNames[model] ??= await getTableName(model);
+
+  // Scan every item of a model's table, following LastEvaluatedKey across pages
+  async function scanAll(model, filter = {}) {
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: await tableName(model),
+        ExclusiveStartKey: lastEvaluatedKey,
+        ...filter,
+      }));
+      items.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    return items;
+  }
+
+  return {
+    name,
+    log,
+    async listPurgedTodoIds() {
+      return (await scanAll('PurgedTodo')).map(item => item.todoId);
+    },
+    async deleteTodoChildren(todo) {
+      for (const model of ['Subtask', 'TodoTag']) {
+        const children = await scanAll(model, {
+          FilterExpression: 'todoId = :todoId',
+          ExpressionAttributeValues: { ':todoId': todo.id },
+        });
+        for (const child of children) {
+          await docClient.send(new DeleteCommand({ TableName: await tableName(model), Key: { id: child.id } }));
+        }
+      }
+    },
+    async recordPurgedTodo(todo) {
+      const now = new Date().toISOString();
+      await docClient.send(new PutCommand({
+        TableName: await tableName('PurgedTodo'),
+        // Owned like the Todo was, as the app's records are
+        Item: { todoId: todo.id, purgedAt: now, ...(todo.owner && { owner: todo.owner }), __typename: 'PurgedTodo', createdAt: now, updatedAt: now },
+      }));
+    },
+    async deleteTodo(todo) {
+      await docClient.send(new DeleteCommand({ TableName: await tableName('Todo'), Key: { id: todo.id } }));
+    },
+  };
+}
+
+/**
+ * An environment backed by a GraphQL API. `runQuery` sends a query or mutation
+ * there and returns the parsed response, or null if it couldn't be sent.
+ */
+function createGraphQLEnvironment(name, runQuery, log) {
+  // Throw a response's errors, or that there was no response
+  function checkResult(result) {
+    if (!result) {
+      throw new Error('Could not reach the GraphQL API');
+    }
+    if (!result.data || (result.errors && result.errors.length)) {
+      throw new Error(JSON.stringify(result.errors));
+    }
+  }
+
+  // Send a query, returning its data or throwing its errors
+  async function request(query, variables) {
+    const result = await runQuery(query, variables);
+    checkResult(result);
+    return result.data;
+  }
+
+  // Follow nextToken across the pages of a list query, e.g. listSubtasks
+  async function listAll(queryName, query, variables = {}) {
+    const items = [];
+    let nextToken = null;
+    do {
+      const page = (await request(query, { ...variables, limit: SYNC_PAGE_SIZE, nextToken }))[queryName];
+      items.push(...page.items);
+      nextToken = page.nextToken;
+    } while (nextToken);
+    return items;
+  }
+
+  return {
+    name,
+    log,
+    async listPurgedTodoIds() {
+      const items = await listAll(
+        'listPurgedTodos',
+        'query ListPurgedTodos($limit: Int, $nextToken: String) { listPurgedTodos(limit: $limit, nextToken: $nextToken) { items { todoId } nextToken } }'
+      );
+      return items.map(item => item.todoId);
+    },
+    async deleteTodoChildren(todo) {
+      for (const model of ['Subtask', 'TodoTag']) {
+        const children = await listAll(
+          `list${model}s`,
+          `query List${model}s($todoId: ID!, $limit: Int, $nextToken: String) { list${model}s(filter: { todoId: { eq: $todoId } }, limit: $limit, nextToken: $nextToken) { items { id } nextToken } }`,
+          { todoId: todo.id }
+        );
+        for (const child of children) {
+          await request(`mutation Delete${model}($input: Delete${model}Input!) { delete${model}(input: $input) { id } }`, { input: { id: child.id } });
+        }
+      }
+    },
+    async recordPurgedTodo(todo) {
+      const result = await runQuery(
+        'mutation CreatePurgedTodo($input: CreatePurgedTodoInput!) { createPurgedTodo(input: $input) { todoId } }',
+        { input: { todoId: todo.id, purgedAt: new Date().toISOString() } }
+      );
+      // Already recorded, e.g. by an earlier run that stopped before deleting the Todo
+      const alreadyRecorded = result && result.errors && result.errors.length
+        && result.errors.every(error => error.errorType === 'DynamoDB:ConditionalCheckFailedException');
+      if (!alreadyRecorded) {
+        checkResult(result);
+      }
+    },
+    async deleteTodo(todo) {
+      await request('mutation DeleteTodo($input: DeleteTodoInput!) { deleteTodo(input: $input) { id } }', { input: { id: todo.id } });
+    },
+  };
+}
+
+/**
+ * Get the ids of Todos deleted for good in any of the environments
+ */
+async function getPurgedTodoIds(environments) {
+  const ids = new Set();
+  for (const environment of environments) {
+    try {
+      (await environment.listPurgedTodoIds()).forEach(id => ids.add(id));
+    } catch (error) {
+      environment.log(`Error getting ${environment.name} purged Todos: ${error.message}`, 'error');
+    }
+  }
+  return ids;
+}
+
+/**
+ * Delete a Todo for good the way the app does: its subtasks and tag links, then a
+ * PurgedTodo record, then the Todo. Stops at the first step that fails, so a Todo
+ * is never gone without its record. Returns whether it was deleted.
+ */
+async function purgeTodo(environment, todo) {
+  try {
+    await environment.deleteTodoChildren(todo);
+    await environment.recordPurgedTodo(todo);
+    await environment.deleteTodo(todo);
+    environment.log(`Deleted Todo for good in ${environment.name} environment: ${todo.id}`, 'success');
+    return true;
+  } catch (error) {
+    environment.log(`Error deleting ${environment.name} Todo ${todo.id} for good: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Delete the Todos in an environment that were deleted for good in any environment, and return the rest
+ */
+async function removePurgedTodos(environment, todos, purgedIds) {
+  const kept = [];
+  for (const todo of todos) {
+    if (purgedIds.has(todo.id)) {
+      await purgeTodo(environment, todo);
+    } else {
+      kept.push(todo);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Delete the Todos in an environment whose tombstone has expired, and return the
+ * rest. The ids of purged Todos are added to `purgedIds` so their copies elsewhere go too.
+ */
+async function purgeExpiredTombstones(environment, todos, purgedIds) {
+  const kept = [];
+  for (const todo of todos) {
+    if (isExpiredTombstone(todo)) {
+      environment.log(`Purging Todo deleted more than ${TRASH_RETENTION_DAYS} days ago: ${todo.id}`, 'info');
+      await purgeTodo(environment, todo);
+      purgedIds.add(todo.id);
+    } else {
+      kept.push(todo);
+    }
+  }
+  return kept;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  isExpiredTombstone,
+  createDynamoDBEnvironment,
+  createGraphQLEnvironment,
+  getPurgedTodoIds,
+  purgeTodo,
+  removePurgedTodos,
+  purgeExpiredTombstones,
+};
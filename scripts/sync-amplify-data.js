@@ -9,6 +9,14 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const {
+  isExpiredTombstone,
+  createGraphQLEnvironment,
+  getPurgedTodoIds,
+  purgeTodo,
+  removePurgedTodos,
+  purgeExpiredTombstones,
+} = require('./purged-todos');
 
 // ANSI color codes for console output
 const colors = {
@@ -43,6 +51,9 @@ const colors = {
   }
 };
 
+// Number of Todos requested per page when listing
+const SYNC_PAGE_SIZE = Number(process.env.SYNC_PAGE_SIZE) || 100;
+
 // Create readline interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -258,30 +269,109 @@ async function executeGraphQL(query, variables = {}) {
 }
 
 /**
- * List all Todo items from the deployed environment
+ * Execute a GraphQL query or mutation against the local sandbox
+ */
+async function executeLocalGraphQL(query, variables = {}) {
+  try {
+    // Get the local endpoint from the amplify_outputs.json file
+    const amplifyOutputs = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'amplify_outputs.json'), 'utf8'));
+    const localEndpoint = amplifyOutputs.data.url;
+    const localApiKey = amplifyOutputs.data.api_key;
+
+    // Create a temporary file with the query/mutation
+    const queryFile = path.join(process.cwd(), `temp-query-${Date.now()}.json`);
+    fs.writeFileSync(queryFile, JSON.stringify({
+      query: query.replace(/\n/g, ' '),
+      variables
+    }));
+
+    // Execute the query using curl
+    const result = execute(
+      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: ${localApiKey}" -d @${queryFile} ${localEndpoint}`,
+      { silent: true, ignoreError: true }
+    );
+
+    // Clean up the temporary file
+    if (fs.existsSync(queryFile)) {
+      fs.unlinkSync(queryFile);
+    }
+
+    return result ? JSON.parse(result.toString()) : null;
+  } catch (error) {
+    log(`Error executing local GraphQL query: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+// The two environments as seen by the PurgedTodo helpers in ./purged-todos
+const localEnvironment = createGraphQLEnvironment(
+  'local',
+  (query, variables) => ensureSandboxRunning() ? executeLocalGraphQL(query, variables) : null,
+  log
+);
+const deployedEnvironment = createGraphQLEnvironment('deployed', executeGraphQL, log);
+
+/**
+ * The fields of a Todo written by the create and update mutations. The id is kept,
+ * so a copy can be matched with its original and a deletion reaches it.
+ */
+function toTodoInput(todo) {
+  return {
+    id: todo.id,
+    content: todo.content,
+    notes: todo.notes || null,
+    completed: todo.completed || false,
+    dueAt: todo.dueAt || null,
+    priority: todo.priority || null,
+    remindAt: todo.remindAt || null,
+    position: typeof todo.position === 'number' ? todo.position : null,
+    deletedAt: todo.deletedAt || null,
+    recurrence: todo.recurrence || null,
+    status: todo.status || (todo.completed ? 'done' : 'todo')
+  };
+}
+
+/**
+ * List all Todo items from the deployed environment, following nextToken across pages
  */
 async function listDeployedTodos() {
   try {
     const listTodosQuery = `
-      query ListTodos {
-        listTodos {
+      query ListTodos($limit: Int, $nextToken: String) {
+        listTodos(limit: $limit, nextToken: $nextToken) {
           items {
             id
             content
+            notes
             completed
+            dueAt
+            priority
+            remindAt
+            position
+            deletedAt
+            recurrence
+            status
             createdAt
             updatedAt
           }
+          nextToken
         }
       }
     `;
 
-    const result = await executeGraphQL(listTodosQuery);
-    if (result && result.data && result.data.listTodos && result.data.listTodos.items) {
-      return result.data.listTodos.items;
-    }
+    const todos = [];
+    let nextToken = null;
+    do {
+      const result = await executeGraphQL(listTodosQuery, { limit: SYNC_PAGE_SIZE, nextToken });
+      if (!result || !result.data || !result.data.listTodos || !result.data.listTodos.items) {
+        break;
+      }
 
-    return [];
+      todos.push(...result.data.listTodos.items);
+      nextToken = result.data.listTodos.nextToken;
+    } while (nextToken);
+
+    return todos;
   } catch (error) {
     log(`Error listing deployed Todos: ${error.message}`, 'error');
     return [];
@@ -289,7 +379,7 @@ async function listDeployedTodos() {
 }
 
 /**
- * List all Todo items from the local environment
+ * List all Todo items from the local environment, following nextToken across pages
  */
 async function listLocalTodos() {
   try {
@@ -306,48 +396,65 @@ async function listLocalTodos() {
 
     // Execute the query using curl
     const listTodosQuery = `
-      query ListTodos {
-        listTodos {
+      query ListTodos($limit: Int, $nextToken: String) {
+        listTodos(limit: $limit, nextToken: $nextToken) {
           items {
             id
             content
+            notes
             completed
+            dueAt
+            priority
+            remindAt
+            position
+            deletedAt
+            recurrence
+            status
             createdAt
             updatedAt
           }
+          nextToken
         }
       }
     `;
 
-    // Create a temporary file with the query
-    const queryFile = path.join(process.cwd(), `temp-query-${Date.now()}.json`);
-    fs.writeFileSync(queryFile, JSON.stringify({
-      query: listTodosQuery.replace(/\n/g, ' ')
-    }));
+    const todos = [];
+    let nextToken = null;
+    do {
+      // Create a temporary file with the query
+      const queryFile = path.join(process.cwd(), `temp-query-${Date.now()}.json`);
+      fs.writeFileSync(queryFile, JSON.stringify({
+        query: listTodosQuery.replace(/\n/g, ' '),
+        variables: { limit: SYNC_PAGE_SIZE, nextToken }
+      }));
+
+      // Execute the query using curl
+      const result = execute(
+        `curl -X POST -H "Content-Type: application/json" -H "x-api-key: ${localApiKey}" -d @${queryFile} ${localEndpoint}`,
+        { silent: true, ignoreError: true }
+      );
 
-    // Execute the query using curl
-    const result = execute(
-      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: ${localApiKey}" -d @${queryFile} ${localEndpoint}`,
-      { silent: true, ignoreError: true }
-    );
+      // Clean up the temporary file
+      if (fs.existsSync(queryFile)) {
+        fs.unlinkSync(queryFile);
+      }
 
-    // Clean up the temporary file
-    if (fs.existsSync(queryFile)) {
-      fs.unlinkSync(queryFile);
-    }
+      if (!result) {
+        log('Could not connect to local sandbox. Make sure it is running.', 'warning');
+        return todos;
+      }
 
-    if (!result) {
-      log('Could not connect to local sandbox. Make sure it is running.', 'warning');
-      return [];
-    }
+      // Parse the result
+      const parsedResult = JSON.parse(result.toString());
+      if (!parsedResult || !parsedResult.data || !parsedResult.data.listTodos || !parsedResult.data.listTodos.items) {
+        break;
+      }
 
-    // Parse the result
-    const parsedResult = JSON.parse(result.toString());
-    if (parsedResult && parsedResult.data && parsedResult.data.listTodos && parsedResult.data.listTodos.items) {
-      return parsedResult.data.listTodos.items;
-    }
+      todos.push(...parsedResult.data.listTodos.items);
+      nextToken = parsedResult.data.listTodos.nextToken;
+    } while (nextToken);
 
-    return [];
+    return todos;
   } catch (error) {
     log(`Error listing local Todos: ${error.message}`, 'error');
     return [];
@@ -364,24 +471,22 @@ async function createDeployedTodo(todo) {
         createTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
 
-    const variables = {
-      input: {
-        content: todo.content,
-        completed: todo.completed || false
-      }
-    };
-
-    // If the todo has an ID, use it
-    if (todo.id) {
-      variables.input.id = todo.id;
-    }
+    const variables = { input: toTodoInput(todo) };
 
     const result = await executeGraphQL(createTodoMutation, variables);
     if (result && result.data && result.data.createTodo) {
@@ -419,24 +524,22 @@ async function createLocalTodo(todo) {
         createTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
 
-    const variables = {
-      input: {
-        content: todo.content,
-        completed: todo.completed || false
-      }
-    };
-
-    // If the todo has an ID, use it
-    if (todo.id) {
-      variables.input.id = todo.id;
-    }
+    const variables = { input: toTodoInput(todo) };
 
     // Create a temporary file with the mutation
     const mutationFile = path.join(process.cwd(), `temp-mutation-${Date.now()}.json`);
@@ -486,20 +589,22 @@ async function updateDeployedTodo(todo) {
         updateTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
 
-    const variables = {
-      input: {
-        id: todo.id,
-        content: todo.content,
-        completed: todo.completed
-      }
-    };
+    const variables = { input: toTodoInput(todo) };
 
     const result = await executeGraphQL(updateTodoMutation, variables);
     if (result && result.data && result.data.updateTodo) {
@@ -537,20 +642,22 @@ async function updateLocalTodo(todo) {
         updateTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
 
-    const variables = {
-      input: {
-        id: todo.id,
-        content: todo.content,
-        completed: todo.completed
-      }
-    };
+    const variables = { input: toTodoInput(todo) };
 
     // Create a temporary file with the mutation
     const mutationFile = path.join(process.cwd(), `temp-mutation-${Date.now()}.json`);
@@ -590,108 +697,6 @@ async function updateLocalTodo(todo) {
   }
 }
 
-/**
- * Delete a Todo item in the deployed environment
- */
-async function deleteDeployedTodo(id) {
-  try {
-    const deleteTodoMutation = `
-      mutation DeleteTodo($input: DeleteTodoInput!) {
-        deleteTodo(input: $input) {
-          id
-        }
-      }
-    `;
-
-    const variables = {
-      input: {
-        id
-      }
-    };
-
-    const result = await executeGraphQL(deleteTodoMutation, variables);
-    if (result && result.data && result.data.deleteTodo) {
-      log(`Deleted Todo in deployed environment: ${result.data.deleteTodo.id}`, 'success');
-      return true;
-    }
-
-    log(`Failed to delete Todo in deployed environment: ${JSON.stringify(result)}`, 'error');
-    return false;
-  } catch (error) {
-    log(`Error deleting deployed Todo: ${error.message}`, 'error');
-    return false;
-  }
-}
-
-/**
- * Delete a Todo item in the local environment
- */
-async function deleteLocalTodo(id) {
-  try {
-    // Ensure the sandbox is running
-    if (!ensureSandboxRunning()) {
-      log('Cannot proceed without a running sandbox.', 'error');
-      return false;
-    }
-
-    // Get the local endpoint from the amplify_outputs.json file
-    const amplifyOutputs = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'amplify_outputs.json'), 'utf8'));
-    const localEndpoint = amplifyOutputs.data.url;
-    const localApiKey = amplifyOutputs.data.api_key;
-
-    // Create the mutation
-    const deleteTodoMutation = `
-      mutation DeleteTodo($input: DeleteTodoInput!) {
-        deleteTodo(input: $input) {
-          id
-        }
-      }
-    `;
-
-    const variables = {
-      input: {
-        id
-      }
-    };
-
-    // Create a temporary file with the mutation
-    const mutationFile = path.join(process.cwd(), `temp-mutation-${Date.now()}.json`);
-    fs.writeFileSync(mutationFile, JSON.stringify({
-      query: deleteTodoMutation.replace(/\n/g, ' '),
-      variables
-    }));
-
-    // Execute the mutation using curl
-    const result = execute(
-      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: ${localApiKey}" -d @${mutationFile} ${localEndpoint}`,
-      { silent: true, ignoreError: true }
-    );
-
-    // Clean up the temporary file
-    if (fs.existsSync(mutationFile)) {
-      fs.unlinkSync(mutationFile);
-    }
-
-    if (!result) {
-      log('Could not connect to local sandbox. Make sure it is running.', 'warning');
-      return false;
-    }
-
-    // Parse the result
-    const parsedResult = JSON.parse(result.toString());
-    if (parsedResult && parsedResult.data && parsedResult.data.deleteTodo) {
-      log(`Deleted Todo in local environment: ${parsedResult.data.deleteTodo.id}`, 'success');
-      return true;
-    }
-
-    log(`Failed to delete Todo in local environment: ${JSON.stringify(parsedResult)}`, 'error');
-    return false;
-  } catch (error) {
-    log(`Error deleting local Todo: ${error.message}`, 'error');
-    return false;
-  }
-}
-
 /**
  * Synchronize data from local to deployed environment
  */
@@ -699,9 +704,14 @@ async function syncLocalToDeployed() {
   try {
     log('Synchronizing data from local to deployed environment...', 'info');
 
-    // Get all Todos from both environments
-    const localTodos = await listLocalTodos();
-    const deployedTodos = await listDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in the target
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await removePurgedTodos(localEnvironment, await listLocalTodos(), purgedIds);
+    const deployedTodos = await purgeExpiredTombstones(
+      deployedEnvironment,
+      await removePurgedTodos(deployedEnvironment, await listDeployedTodos(), purgedIds),
+      new Set()
+    );
 
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -714,6 +724,14 @@ async function syncLocalToDeployed() {
 
     // Process each local Todo
     for (const localTodo of localTodos) {
+      if (isExpiredTombstone(localTodo)) {
+        // Purged rather than copied, so the deletion isn't undone
+        if (deployedTodosMap.has(localTodo.id)) {
+          await purgeTodo(deployedEnvironment, deployedTodosMap.get(localTodo.id));
+        }
+        continue;
+      }
+
       // Check if the Todo exists in the deployed environment
       if (deployedTodosMap.has(localTodo.id)) {
         // Todo exists in both environments, check if it needs to be updated
@@ -746,9 +764,14 @@ async function syncDeployedToLocal() {
   try {
     log('Synchronizing data from deployed to local environment...', 'info');
 
-    // Get all Todos from both environments
-    const localTodos = await listLocalTodos();
-    const deployedTodos = await listDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in the target
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await purgeExpiredTombstones(
+      localEnvironment,
+      await removePurgedTodos(localEnvironment, await listLocalTodos(), purgedIds),
+      new Set()
+    );
+    const deployedTodos = await removePurgedTodos(deployedEnvironment, await listDeployedTodos(), purgedIds);
 
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -761,6 +784,14 @@ async function syncDeployedToLocal() {
 
     // Process each deployed Todo
     for (const deployedTodo of deployedTodos) {
+      if (isExpiredTombstone(deployedTodo)) {
+        // Purged rather than copied, so the deletion isn't undone
+        if (localTodosMap.has(deployedTodo.id)) {
+          await purgeTodo(localEnvironment, localTodosMap.get(deployedTodo.id));
+        }
+        continue;
+      }
+
       // Check if the Todo exists in the local environment
       if (localTodosMap.has(deployedTodo.id)) {
         // Todo exists in both environments, check if it needs to be updated
@@ -793,9 +824,18 @@ async function syncTwoWay() {
   try {
     log('Performing two-way synchronization...', 'info');
 
-    // Get all Todos from both environments
-    const localTodos = await listLocalTodos();
-    const deployedTodos = await listDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in each
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await purgeExpiredTombstones(
+      localEnvironment,
+      await removePurgedTodos(localEnvironment, await listLocalTodos(), purgedIds),
+      purgedIds
+    );
+    const deployedTodos = await purgeExpiredTombstones(
+      deployedEnvironment,
+      await removePurgedTodos(deployedEnvironment, await listDeployedTodos(), purgedIds),
+      purgedIds
+    );
 
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -834,6 +874,11 @@ async function syncTwoWay() {
     const localOnlyTodoIds = new Set([...localTodosMap.keys()].filter(id => !deployedTodosMap.has(id)));
     for (const id of localOnlyTodoIds) {
       const localTodo = localTodosMap.get(id);
+      if (purgedIds.has(id)) {
+        // Purged in the deployed environment, so finish the deletion here
+        await purgeTodo(localEnvironment, localTodo);
+        continue;
+      }
       log(`Creating Todo in deployed environment: ${localTodo.id}`, 'info');
       await createDeployedTodo(localTodo);
     }
@@ -842,6 +887,11 @@ async function syncTwoWay() {
     const deployedOnlyTodoIds = new Set([...deployedTodosMap.keys()].filter(id => !localTodosMap.has(id)));
     for (const id of deployedOnlyTodoIds) {
       const deployedTodo = deployedTodosMap.get(id);
+      if (purgedIds.has(id)) {
+        // Purged in the local environment, so finish the deletion here
+        await purgeTodo(deployedEnvironment, deployedTodo);
+        continue;
+      }
       log(`Creating Todo in local environment: ${deployedTodo.id}`, 'info');
       await createLocalTodo(deployedTodo);
     }
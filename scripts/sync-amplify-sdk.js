@@ -13,6 +13,15 @@ const { execSync } = require('child_process');
 // Import AWS SDK
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  isExpiredTombstone,
+  createDynamoDBEnvironment,
+  createGraphQLEnvironment,
+  getPurgedTodoIds,
+  purgeTodo,
+  removePurgedTodos,
+  purgeExpiredTombstones,
+} = require('./purged-todos');
 
 // ANSI color codes for console output
 const colors = {
@@ -47,6 +56,9 @@ const colors = {
   }
 };
 
+// Number of Todos requested per page when listing
+const SYNC_PAGE_SIZE = Number(process.env.SYNC_PAGE_SIZE) || 100;
+
 // Create readline interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -144,27 +156,82 @@ function getDynamoDBClient() {
 }
 
 /**
- * Get the DynamoDB table name for the Todo model
+ * Get the DynamoDB table name for a model, e.g. Todo
  */
-function getTodoTableName() {
+function getTableName(modelName) {
   try {
     // Get the table name from the sandbox outputs
     const sandboxOutputs = execute('npx ampx sandbox --outputs', { silent: true });
     const outputs = JSON.parse(sandboxOutputs.toString());
     
-    if (outputs && outputs.data && outputs.data.tables && outputs.data.tables.Todo) {
-      return outputs.data.tables.Todo.tableName;
+    if (outputs && outputs.data && outputs.data.tables && outputs.data.tables[modelName]) {
+      return outputs.data.tables[modelName].tableName;
     }
     
     // Fallback to a default naming convention
-    return `Todo-${process.env.AMPLIFY_APP_ID || 'local'}`;
+    return `${modelName}-${process.env.AMPLIFY_APP_ID || 'local'}`;
   } catch (error) {
-    log(`Error getting Todo table name: ${error.message}`, 'error');
+    log(`Error getting ${modelName} table name: ${error.message}`, 'error');
     // Fallback to a default naming convention
-    return `Todo-${process.env.AMPLIFY_APP_ID || 'local'}`;
+    return `${modelName}-${process.env.AMPLIFY_APP_ID || 'local'}`;
+  }
+}
+
+/**
+ * Scan every item in a DynamoDB table, following LastEvaluatedKey across pages
+ */
+async function scanAllItems(client, tableName) {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const response = await client.send(new ScanCommand({
+      TableName: tableName,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+}
+
+/**
+ * Send a GraphQL request to the local sandbox, passing the values as variables
+ * in a temporary file so quotes in them can't break the shell command
+ */
+function postLocalGraphQL(query, variables) {
+  const requestFile = path.join(process.cwd(), `temp-local-request-${Date.now()}.json`);
+  fs.writeFileSync(requestFile, JSON.stringify({ query, variables }));
+  try {
+    return execute(
+      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: da2-fakeApiId123456" -d @${requestFile} http://localhost:20002/graphql`,
+      { silent: true, ignoreError: true }
+    );
+  } finally {
+    fs.unlinkSync(requestFile);
   }
 }
 
+/**
+ * The fields of a Todo written by the local create and update mutations
+ */
+function toLocalTodoInput(todo) {
+  return {
+    id: todo.id,
+    content: todo.content,
+    notes: todo.notes || null,
+    completed: todo.completed || false,
+    dueAt: todo.dueAt || null,
+    priority: todo.priority || null,
+    remindAt: todo.remindAt || null,
+    position: typeof todo.position === 'number' ? todo.position : null,
+    deletedAt: todo.deletedAt || null,
+    recurrence: todo.recurrence || null,
+    status: todo.status || (todo.completed ? 'done' : 'todo')
+  };
+}
+
 /**
  * Get all Todo items from the deployed DynamoDB table
  */
@@ -174,34 +241,30 @@ async function getDeployedTodos() {
     
     // Use the AWS CLI to get the Todos from the deployed environment
     const result = execute(
-      'aws appsync evaluate-code --api-id $(aws appsync list-graphql-apis --query "graphqlApis[?name==\'amplify-awsamplifygen2-bradygeorgen-sandbox-e02cb6877c\'].apiId" --output text) --code "query { listTodos { items { id content completed createdAt updatedAt } } }" --runtime-name APPSYNC_JS --function-name query_listTodos --region us-east-1 --profile AmplifyUser',
+      'aws appsync evaluate-code --api-id $(aws appsync list-graphql-apis --query "graphqlApis[?name==\'amplify-awsamplifygen2-bradygeorgen-sandbox-e02cb6877c\'].apiId" --output text) --code "query { listTodos { items { id content notes completed dueAt priority remindAt position deletedAt recurrence status createdAt updatedAt } nextToken } }" --runtime-name APPSYNC_JS --function-name query_listTodos --region us-east-1 --profile AmplifyUser',
       { silent: true, ignoreError: true }
     );
 
-    if (!result) {
-      log('Could not get Todos from deployed environment using AWS CLI', 'warning');
+    // Parse the result from AWS CLI
+    const parsedResult = result ? JSON.parse(result.toString()) : null;
+    const page = parsedResult && parsedResult.data && parsedResult.data.listTodos;
+
+    // The CLI only returns a single page, so scan the table when there are more
+    if (!page || page.nextToken) {
+      log(page
+        ? 'AWS CLI returned a partial page of Todos'
+        : 'Could not get Todos from deployed environment using AWS CLI', 'warning');
       
       // Fallback to using DynamoDB directly
       log('Falling back to DynamoDB direct access...', 'info');
       const client = getDynamoDBClient();
-      const tableName = getTodoTableName();
+      const tableName = getTableName('Todo');
       
       log(`Scanning DynamoDB table: ${tableName}`, 'info');
-      const command = new ScanCommand({
-        TableName: tableName,
-      });
-      
-      const response = await client.send(command);
-      return response.Items || [];
+      return await scanAllItems(client, tableName);
     }
     
-    // Parse the result from AWS CLI
-    const parsedResult = JSON.parse(result.toString());
-    if (parsedResult && parsedResult.data && parsedResult.data.listTodos && parsedResult.data.listTodos.items) {
-      return parsedResult.data.listTodos.items;
-    }
-    
-    return [];
+    return page.items || [];
   } catch (error) {
     log(`Error getting deployed Todos: ${error.message}`, 'error');
     return [];
@@ -222,24 +285,30 @@ async function getLocalTodos() {
       execute('npx ampx sandbox --once', { silent: true });
     }
     
-    // Use the AWS CLI to get the Todos from the local environment
-    const result = execute(
-      'curl -X POST -H "Content-Type: application/json" -H "x-api-key: da2-fakeApiId123456" -d \'{"query": "query { listTodos { items { id content completed createdAt updatedAt } } }"}\' http://localhost:20002/graphql',
-      { silent: true, ignoreError: true }
-    );
+    const query = 'query ListTodos($limit: Int, $nextToken: String) { listTodos(limit: $limit, nextToken: $nextToken) { items { id content notes completed dueAt priority remindAt position deletedAt recurrence status createdAt updatedAt } nextToken } }';
+    const todos = [];
+    let nextToken = null;
     
-    if (!result) {
-      log('Could not connect to local sandbox. Make sure it is running.', 'warning');
-      return [];
-    }
-    
-    // Parse the result
-    const parsedResult = JSON.parse(result.toString());
-    if (parsedResult && parsedResult.data && parsedResult.data.listTodos && parsedResult.data.listTodos.items) {
-      return parsedResult.data.listTodos.items;
-    }
+    do {
+      // Query the local sandbox one page at a time
+      const result = postLocalGraphQL(query, { limit: SYNC_PAGE_SIZE, nextToken });
+      
+      if (!result) {
+        log('Could not connect to local sandbox. Make sure it is running.', 'warning');
+        return todos;
+      }
+      
+      // Parse the result
+      const parsedResult = JSON.parse(result.toString());
+      if (!parsedResult || !parsedResult.data || !parsedResult.data.listTodos || !parsedResult.data.listTodos.items) {
+        break;
+      }
+      
+      todos.push(...parsedResult.data.listTodos.items);
+      nextToken = parsedResult.data.listTodos.nextToken;
+    } while (nextToken);
     
-    return [];
+    return todos;
   } catch (error) {
     log(`Error getting local Todos: ${error.message}`, 'error');
     return [];
@@ -261,7 +330,15 @@ async function createDeployedTodo(todo) {
           createTodo(input: $input) {
             id
             content
+            notes
             completed
+            dueAt
+            priority
+            remindAt
+            position
+            deletedAt
+            recurrence
+            status
             createdAt
             updatedAt
           }
@@ -271,7 +348,15 @@ async function createDeployedTodo(todo) {
         input: {
           id: todo.id,
           content: todo.content,
-          completed: todo.completed || false
+          notes: todo.notes || null,
+          completed: todo.completed || false,
+          dueAt: todo.dueAt || null,
+          priority: todo.priority || null,
+          remindAt: todo.remindAt || null,
+          position: typeof todo.position === 'number' ? todo.position : null,
+          deletedAt: todo.deletedAt || null,
+          recurrence: todo.recurrence || null,
+          status: todo.status || (todo.completed ? 'done' : 'todo')
         }
       }
     }));
@@ -291,7 +376,7 @@ async function createDeployedTodo(todo) {
       // Fallback to using DynamoDB directly
       log('Falling back to DynamoDB direct access...', 'info');
       const client = getDynamoDBClient();
-      const tableName = getTodoTableName();
+      const tableName = getTableName('Todo');
       
       log(`Putting item in DynamoDB table: ${tableName}`, 'info');
       const command = new PutCommand({
@@ -299,7 +384,15 @@ async function createDeployedTodo(todo) {
         Item: {
           id: todo.id,
           content: todo.content,
+          notes: todo.notes || null,
           completed: todo.completed || false,
+          dueAt: todo.dueAt || null,
+          priority: todo.priority || null,
+          remindAt: todo.remindAt || null,
+          position: typeof todo.position === 'number' ? todo.position : null,
+          deletedAt: todo.deletedAt || null,
+          recurrence: todo.recurrence || null,
+          status: todo.status || (todo.completed ? 'done' : 'todo'),
           createdAt: todo.createdAt || new Date().toISOString(),
           updatedAt: todo.updatedAt || new Date().toISOString()
         }
@@ -341,26 +434,27 @@ async function createLocalTodo(todo) {
     
     // Create the mutation
     const mutation = `
-      mutation CreateTodo {
-        createTodo(input: {
-          id: "${todo.id}",
-          content: "${todo.content}",
-          completed: ${todo.completed || false}
-        }) {
+      mutation CreateTodo($input: CreateTodoInput!) {
+        createTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
     
-    // Execute the mutation using curl
-    const result = execute(
-      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: da2-fakeApiId123456" -d '{"query": "${mutation.replace(/\\n/g, ' ').replace(/"/g, '\\"')}"}' http://localhost:20002/graphql`,
-      { silent: true, ignoreError: true }
-    );
+    // Send the mutation to the local sandbox
+    const result = postLocalGraphQL(mutation, { input: toLocalTodoInput(todo) });
     
     if (!result) {
       log('Could not connect to local sandbox. Make sure it is running.', 'warning');
@@ -397,7 +491,15 @@ async function updateDeployedTodo(todo) {
           updateTodo(input: $input) {
             id
             content
+            notes
             completed
+            dueAt
+            priority
+            remindAt
+            position
+            deletedAt
+            recurrence
+            status
             createdAt
             updatedAt
           }
@@ -407,7 +509,15 @@ async function updateDeployedTodo(todo) {
         input: {
           id: todo.id,
           content: todo.content,
-          completed: todo.completed
+          notes: todo.notes || null,
+          completed: todo.completed,
+          dueAt: todo.dueAt || null,
+          priority: todo.priority || null,
+          remindAt: todo.remindAt || null,
+          position: typeof todo.position === 'number' ? todo.position : null,
+          deletedAt: todo.deletedAt || null,
+          recurrence: todo.recurrence || null,
+          status: todo.status || (todo.completed ? 'done' : 'todo')
         }
       }
     }));
@@ -427,7 +537,7 @@ async function updateDeployedTodo(todo) {
       // Fallback to using DynamoDB directly
       log('Falling back to DynamoDB direct access...', 'info');
       const client = getDynamoDBClient();
-      const tableName = getTodoTableName();
+      const tableName = getTableName('Todo');
       
       log(`Updating item in DynamoDB table: ${tableName}`, 'info');
       const command = new PutCommand({
@@ -435,7 +545,15 @@ async function updateDeployedTodo(todo) {
         Item: {
           id: todo.id,
           content: todo.content,
+          notes: todo.notes || null,
           completed: todo.completed,
+          dueAt: todo.dueAt || null,
+          priority: todo.priority || null,
+          remindAt: todo.remindAt || null,
+          position: typeof todo.position === 'number' ? todo.position : null,
+          deletedAt: todo.deletedAt || null,
+          recurrence: todo.recurrence || null,
+          status: todo.status || (todo.completed ? 'done' : 'todo'),
           createdAt: todo.createdAt,
           updatedAt: new Date().toISOString()
         }
@@ -477,26 +595,27 @@ async function updateLocalTodo(todo) {
     
     // Create the mutation
     const mutation = `
-      mutation UpdateTodo {
-        updateTodo(input: {
-          id: "${todo.id}",
-          content: "${todo.content}",
-          completed: ${todo.completed}
-        }) {
+      mutation UpdateTodo($input: UpdateTodoInput!) {
+        updateTodo(input: $input) {
           id
           content
+          notes
           completed
+          dueAt
+          priority
+          remindAt
+          position
+          deletedAt
+          recurrence
+          status
           createdAt
           updatedAt
         }
       }
     `;
     
-    // Execute the mutation using curl
-    const result = execute(
-      `curl -X POST -H "Content-Type: application/json" -H "x-api-key: da2-fakeApiId123456" -d '{"query": "${mutation.replace(/\\n/g, ' ').replace(/"/g, '\\"')}"}' http://localhost:20002/graphql`,
-      { silent: true, ignoreError: true }
-    );
+    // Send the mutation to the local sandbox
+    const result = postLocalGraphQL(mutation, { input: toLocalTodoInput(todo) });
     
     if (!result) {
       log('Could not connect to local sandbox. Make sure it is running.', 'warning');
@@ -518,6 +637,17 @@ async function updateLocalTodo(todo) {
   }
 }
 
+// The two environments as seen by the PurgedTodo helpers in ./purged-todos
+const localEnvironment = createGraphQLEnvironment(
+  'local',
+  (query, variables) => {
+    const result = postLocalGraphQL(query, variables);
+    return result ? JSON.parse(result.toString()) : null;
+  },
+  log
+);
+const deployedEnvironment = createDynamoDBEnvironment('deployed', getDynamoDBClient(), getTableName, log);
+
 /**
  * Synchronize data from local to deployed environment
  */
@@ -525,9 +655,14 @@ async function syncLocalToDeployed() {
   try {
     log('Synchronizing data from local to deployed environment...', 'info');
     
-    // Get all Todos from both environments
-    const localTodos = await getLocalTodos();
-    const deployedTodos = await getDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in the target
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await removePurgedTodos(localEnvironment, await getLocalTodos(), purgedIds);
+    const deployedTodos = await purgeExpiredTombstones(
+      deployedEnvironment,
+      await removePurgedTodos(deployedEnvironment, await getDeployedTodos(), purgedIds),
+      new Set()
+    );
     
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -540,6 +675,14 @@ async function syncLocalToDeployed() {
     
     // Process each local Todo
     for (const localTodo of localTodos) {
+      if (isExpiredTombstone(localTodo)) {
+        // Purged rather than copied, so the deletion isn't undone
+        if (deployedTodosMap.has(localTodo.id)) {
+          await purgeTodo(deployedEnvironment, deployedTodosMap.get(localTodo.id));
+        }
+        continue;
+      }
+      
       // Check if the Todo exists in the deployed environment
       if (deployedTodosMap.has(localTodo.id)) {
         // Todo exists in both environments, check if it needs to be updated
@@ -572,9 +715,14 @@ async function syncDeployedToLocal() {
   try {
     log('Synchronizing data from deployed to local environment...', 'info');
     
-    // Get all Todos from both environments
-    const localTodos = await getLocalTodos();
-    const deployedTodos = await getDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in the target
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await purgeExpiredTombstones(
+      localEnvironment,
+      await removePurgedTodos(localEnvironment, await getLocalTodos(), purgedIds),
+      new Set()
+    );
+    const deployedTodos = await removePurgedTodos(deployedEnvironment, await getDeployedTodos(), purgedIds);
     
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -587,6 +735,14 @@ async function syncDeployedToLocal() {
     
     // Process each deployed Todo
     for (const deployedTodo of deployedTodos) {
+      if (isExpiredTombstone(deployedTodo)) {
+        // Purged rather than copied, so the deletion isn't undone
+        if (localTodosMap.has(deployedTodo.id)) {
+          await purgeTodo(localEnvironment, localTodosMap.get(deployedTodo.id));
+        }
+        continue;
+      }
+      
       // Check if the Todo exists in the local environment
       if (localTodosMap.has(deployedTodo.id)) {
         // Todo exists in both environments, check if it needs to be updated
@@ -619,9 +775,18 @@ async function syncTwoWay() {
   try {
     log('Performing two-way synchronization...', 'info');
     
-    // Get all Todos from both environments
-    const localTodos = await getLocalTodos();
-    const deployedTodos = await getDeployedTodos();
+    // Get all Todos from both environments, deleting ones purged in either and expired tombstones in each
+    const purgedIds = await getPurgedTodoIds([localEnvironment, deployedEnvironment]);
+    const localTodos = await purgeExpiredTombstones(
+      localEnvironment,
+      await removePurgedTodos(localEnvironment, await getLocalTodos(), purgedIds),
+      purgedIds
+    );
+    const deployedTodos = await purgeExpiredTombstones(
+      deployedEnvironment,
+      await removePurgedTodos(deployedEnvironment, await getDeployedTodos(), purgedIds),
+      purgedIds
+    );
     
     log(`Found ${localTodos.length} Todos in local environment`, 'info');
     log(`Found ${deployedTodos.length} Todos in deployed environment`, 'info');
@@ -660,6 +825,11 @@ async function syncTwoWay() {
     const localOnlyTodoIds = new Set([...localTodosMap.keys()].filter(id => !deployedTodosMap.has(id)));
     for (const id of localOnlyTodoIds) {
       const localTodo = localTodosMap.get(id);
+      if (purgedIds.has(id)) {
+        // Purged in the deployed environment, so finish the deletion here
+        await purgeTodo(localEnvironment, localTodo);
+        continue;
+      }
       log(`Creating Todo in deployed environment: ${localTodo.id}`, 'info');
       await createDeployedTodo(localTodo);
     }
@@ -668,6 +838,11 @@ async function syncTwoWay() {
     const deployedOnlyTodoIds = new Set([...deployedTodosMap.keys()].filter(id => !localTodosMap.has(id)));
     for (const id of deployedOnlyTodoIds) {
       const deployedTodo = deployedTodosMap.get(id);
+      if (purgedIds.has(id)) {
+        // Purged in the local environment, so finish the deletion here
+        await purgeTodo(deployedEnvironment, deployedTodo);
+        continue;
+      }
       log(`Creating Todo in local environment: ${deployedTodo.id}`, 'info');
       await createLocalTodo(deployedTodo);
     }
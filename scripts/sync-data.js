@@ -14,6 +14,14 @@ const path = require('path');
 const readline = require('readline');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, ScanCommand, PutCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  TRASH_RETENTION_DAYS,
+  isExpiredTombstone,
+  createDynamoDBEnvironment,
+  getPurgedTodoIds,
+  purgeTodo,
+  removePurgedTodos,
+} = require('./purged-todos');
 
 // ANSI color codes for console output
 const colors = {
@@ -143,10 +151,33 @@ async function getTableName(modelName) {
   } catch (error) {
     log(`Error getting table name: ${error.message}`, 'error');
     // Fallback to a default naming convention
-    return `Todo-${process.env.AMPLIFY_APP_ID || 'local'}`;
+    return `${modelName}-${process.env.AMPLIFY_APP_ID || 'local'}`;
   }
 }
 
+// The cloud tables as seen by the PurgedTodo helpers in ./purged-todos
+const cloudEnvironment = createDynamoDBEnvironment('cloud', getDynamoDBClient(), getTableName, log);
+
+// Valid values of the Todo priority enum
+const TODO_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Make sure a Todo item carries the optional fields in a form the schema accepts
+ */
+function normalizeTodo(item) {
+  return {
+    ...item,
+    dueAt: item.dueAt || null,
+    priority: TODO_PRIORITIES.includes(item.priority) ? item.priority : null,
+    remindAt: item.remindAt || null,
+    position: typeof item.position === 'number' ? item.position : null,
+    deletedAt: item.deletedAt || null,
+    recurrence: item.recurrence || null,
+    status: item.status || (item.completed ? 'done' : 'todo'),
+    notes: item.notes || null,
+  };
+}
+
 /**
  * Export data from DynamoDB
  */
@@ -157,12 +188,22 @@ async function exportFromDynamoDB(modelName) {
 
     log(`Scanning table ${tableName}...`, 'info');
 
-    const command = new ScanCommand({
-      TableName: tableName,
-    });
-
-    const response = await client.send(command);
-    return response.Items || [];
+    // Scan results are paginated, so keep going until there's no LastEvaluatedKey
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+      const command = new ScanCommand({
+        TableName: tableName,
+        ExclusiveStartKey: lastEvaluatedKey,
+      });
+
+      const response = await client.send(command);
+      items.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    log(`Scanned ${items.length} items from ${tableName}`, 'info');
+    return items;
   } catch (error) {
     log(`Error exporting from DynamoDB: ${error.message}`, 'error');
     return [];
@@ -300,7 +341,29 @@ async function importData(target, exportFile) {
   }
 
   const exportData = JSON.parse(fs.readFileSync(exportFile, 'utf8'));
-  const items = exportData.data;
+
+  // Todos deleted for good are recorded in the cloud; delete their copies there and leave them out here,
+  // so the import doesn't bring them back
+  const purgedIds = await getPurgedTodoIds([cloudEnvironment]);
+  const todos = target === 'local'
+    ? exportData.data.filter(todo => !purgedIds.has(todo.id))
+    : await removePurgedTodos(cloudEnvironment, exportData.data, purgedIds);
+  if (todos.length < exportData.data.length) {
+    log(`Skipping ${exportData.data.length - todos.length} Todos that were deleted for good`, 'info');
+  }
+
+  // Deletions travel as tombstones; ones past the retention period are dropped instead of copied,
+  // and deleted for good in the cloud the way the app does it
+  const items = todos.map(normalizeTodo).filter(item => !isExpiredTombstone(item));
+  const expiredTodos = todos.filter(isExpiredTombstone);
+  if (expiredTodos.length > 0) {
+    log(`Skipping ${expiredTodos.length} Todos deleted more than ${TRASH_RETENTION_DAYS} days ago`, 'info');
+  }
+  if (target === 'cloud') {
+    for (const todo of expiredTodos) {
+      await purgeTodo(cloudEnvironment, todo);
+    }
+  }
 
   if (target === 'local') {
     // Import to local storage
@@ -0,0 +1,28 @@
+// DynamoDB accepts at most 100 items per transaction, and each bulkUpdateTodos
+// request is one transaction, so it writes at most this many records
+export const MAX_BULK_ITEMS = 100;
+
+/**
+ * Split todos into groups that each fit in one bulkUpdateTodos request.
+ * `countItems` gives the records written for a todo: the todo itself, plus its
+ * subtasks, tag links and purge record when it's deleted.
+ */
+export function chunkBulkTodos<T>(todos: T[], countItems: (todo: T) => number): T[][] {
+  const chunks: T[][] = [];
+  let chunk: T[] = [];
+  let chunkSize = 0;
+
+  todos.forEach(todo => {
+    const size = countItems(todo);
+    if (chunk.length > 0 && chunkSize + size > MAX_BULK_ITEMS) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkSize = 0;
+    }
+    chunk.push(todo);
+    chunkSize += size;
+  });
+  if (chunk.length > 0) chunks.push(chunk);
+
+  return chunks;
+}
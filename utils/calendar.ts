@@ -0,0 +1,74 @@
+export type CalendarMode = 'month' | 'week';
+
+// Time given to an undated todo dropped onto a day
+export const DEFAULT_DUE_HOUR = 9;
+
+function startOfDay(date: Date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date: Date, days: number) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Key identifying a local calendar day, e.g. 2024-03-09
+ */
+export function toDayKey(date: Date) {
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The days shown for the month or week containing `anchor`. A month is padded
+ * out to whole weeks, starting on Sunday.
+ */
+export function getCalendarDays(anchor: Date, mode: CalendarMode) {
+  if (mode === 'week') {
+    const weekStart = addDays(startOfDay(anchor), -anchor.getDay());
+    return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  }
+
+  const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const gridStart = addDays(monthStart, -monthStart.getDay());
+  const monthEnd = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const weeks = Math.ceil((monthStart.getDay() + monthEnd.getDate()) / 7);
+  return Array.from({ length: weeks * 7 }, (_, i) => addDays(gridStart, i));
+}
+
+/**
+ * Step the calendar a month or week forwards or backwards
+ */
+export function shiftAnchor(anchor: Date, mode: CalendarMode, step: -1 | 1) {
+  return mode === 'week'
+    ? addDays(anchor, step * 7)
+    : new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+}
+
+/**
+ * Title for the period on screen, e.g. "March 2024" or "Mar 3 – 9, 2024"
+ */
+export function formatCalendarTitle(anchor: Date, mode: CalendarMode) {
+  if (mode === 'month') {
+    return anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+
+  const days = getCalendarDays(anchor, 'week');
+  const first = days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const last = days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${first} – ${last}`;
+}
+
+/**
+ * Move a due date to another day, keeping its time of day
+ */
+export function moveToDay(dueAt: string | null | undefined, day: Date) {
+  const time = dueAt ? new Date(dueAt) : null;
+  return new Date(
+    day.getFullYear(),
+    day.getMonth(),
+    day.getDate(),
+    time ? time.getHours() : DEFAULT_DUE_HOUR,
+    time ? time.getMinutes() : 0
+  );
+}
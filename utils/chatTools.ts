@@ -0,0 +1,213 @@
+import type { Schema } from "@/amplify/data/resource";
+import type { SendMesageParameters } from "@aws-amplify/ui-react-ai";
+import { TODO_PRIORITIES } from "./todoDates";
+import { compareTodoPositions } from "./todoOrder";
+import { TODO_STATUSES, TODO_STATUS_LABELS, TodoStatus, getTodoStatus } from "./todoStatus";
+
+type Todo = Schema["Todo"]["type"];
+
+type ToolConfiguration = NonNullable<SendMesageParameters["toolConfiguration"]>;
+type ToolInputProperties = NonNullable<ToolConfiguration["tools"][string]["inputSchema"]["json"]["properties"]>;
+
+export type ChatToolName = 'listTodos' | 'searchTodos' | 'createTodo' | 'completeTodo' | 'rescheduleTodo';
+
+// Tools that change existing todos only run once the user confirms them in the chat
+export const CONFIRMED_CHAT_TOOLS: ChatToolName[] = ['completeTodo', 'rescheduleTodo'];
+
+// Most todos a list or search hands back to the assistant
+export const MAX_CHAT_TODOS = 50;
+const DEFAULT_CHAT_TODOS = 20;
+
+export type ListTodosInput = {
+  status?: TodoStatus;
+  dueBefore?: string;
+  includeCompleted?: boolean;
+  limit?: number;
+};
+
+export type SearchTodosInput = ListTodosInput & {
+  query: string;
+};
+
+export type CreateTodoInput = {
+  content: string;
+  notes?: string;
+  dueAt?: string;
+  priority?: Todo["priority"];
+};
+
+export type CompleteTodoInput = {
+  id: string;
+};
+
+export type RescheduleTodoInput = {
+  id: string;
+  dueAt: string | null;
+};
+
+// What the assistant is told about a todo
+export type ChatTodo = Pick<Todo, 'id' | 'content' | 'notes' | 'status' | 'priority' | 'dueAt' | 'recurrence'>;
+
+// The JSON a tool answers with, also used to draw its card
+export type ChatToolOutput = {
+  todos?: ChatTodo[];
+  todo?: ChatTodo;
+  // The next occurrence created by completing a recurring todo
+  next?: ChatTodo | null;
+  declined?: boolean;
+  error?: string;
+};
+
+const TODO_FILTER_PROPERTIES: ToolInputProperties = {
+  status: {
+    type: 'string',
+    enum: TODO_STATUSES,
+    description: 'Only todos with this status',
+  },
+  dueBefore: {
+    type: 'string',
+    description: 'ISO 8601 date-time; only todos due before it',
+  },
+  includeCompleted: {
+    type: 'boolean',
+    description: 'Include completed todos (default false)',
+  },
+  limit: {
+    type: 'integer',
+    description: `Most todos to return (default ${DEFAULT_CHAT_TODOS}, at most ${MAX_CHAT_TODOS})`,
+  },
+};
+
+// Passed with every message, so the assistant can look up and change the user's todos
+export const CHAT_TOOL_CONFIGURATION: ToolConfiguration = {
+  tools: {
+    listTodos: {
+      description: "List the user's todos in their own order, optionally only those with a status or due before a date",
+      inputSchema: {
+        json: { type: 'object', properties: TODO_FILTER_PROPERTIES },
+      },
+    },
+    searchTodos: {
+      description: "Find the user's todos whose text or notes contain the query, ignoring case",
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Text to look for' },
+            ...TODO_FILTER_PROPERTIES,
+          },
+          required: ['query'],
+        },
+      },
+    },
+    createTodo: {
+      description: 'Create a todo for the user',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'One-line title; may use inline Markdown' },
+            notes: { type: 'string', description: 'Longer Markdown details' },
+            dueAt: { type: 'string', description: 'ISO 8601 date-time the todo is due' },
+            priority: { type: 'string', enum: TODO_PRIORITIES },
+          },
+          required: ['content'],
+        },
+      },
+    },
+    completeTodo: {
+      description: 'Mark a todo as done. Recurring todos get their next occurrence. The user is asked to confirm first.',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Id of the todo, from listTodos or searchTodos' },
+          },
+          required: ['id'],
+        },
+      },
+    },
+    rescheduleTodo: {
+      description: "Change a todo's due date, or clear it with null. A reminder keeps its lead time. The user is asked to confirm first.",
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Id of the todo, from listTodos or searchTodos' },
+            dueAt: { type: ['string', 'null'], description: 'New ISO 8601 due date-time, or null for none' },
+          },
+          required: ['id', 'dueAt'],
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Sent with every message, so the assistant can work out dates like "tomorrow"
+ */
+export function getChatContext(now = new Date()) {
+  return {
+    now: now.toISOString(),
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+}
+
+/**
+ * Check a tool name from the assistant against the tools we offer
+ */
+export function isChatToolName(name: string): name is ChatToolName {
+  return name in CHAT_TOOL_CONFIGURATION.tools;
+}
+
+/**
+ * Keep the fields the assistant needs, leaving out empty ones
+ */
+export function toChatTodo(todo: Todo): ChatTodo {
+  return {
+    id: todo.id,
+    content: todo.content,
+    notes: todo.notes ?? undefined,
+    status: getTodoStatus(todo),
+    priority: todo.priority ?? undefined,
+    dueAt: todo.dueAt ?? undefined,
+    recurrence: todo.recurrence ?? undefined,
+  };
+}
+
+/**
+ * Pick the todos a list or search asks for, leaving out trashed ones. A
+ * search matches its query anywhere in the content or notes, ignoring case.
+ */
+export function findChatTodos(todos: Todo[], input: ListTodosInput & { query?: string }): ChatTodo[] {
+  const query = input.query?.trim().toLowerCase();
+  const dueBefore = input.dueBefore ? new Date(input.dueBefore).getTime() : null;
+  const limit = Math.min(Math.max(Math.floor(input.limit ?? DEFAULT_CHAT_TODOS), 1), MAX_CHAT_TODOS);
+
+  return todos
+    .filter(todo => !todo.deletedAt)
+    .filter(todo => input.status ? getTodoStatus(todo) === input.status : input.includeCompleted || !todo.completed)
+    .filter(todo => dueBefore === null || (!!todo.dueAt && new Date(todo.dueAt).getTime() < dueBefore))
+    .filter(todo => !query || `${todo.content}\n${todo.notes ?? ''}`.toLowerCase().includes(query))
+    .sort(compareTodoPositions)
+    .slice(0, limit)
+    .map(toChatTodo);
+}
+
+/**
+ * Short title for a tool call's card, e.g. "Search todos for “milk”"
+ */
+export function describeChatTool(name: ChatToolName, input: Record<string, any>) {
+  switch (name) {
+    case 'listTodos':
+      return input.status ? `List todos in ${TODO_STATUS_LABELS[input.status as TodoStatus] ?? input.status}` : 'List todos';
+    case 'searchTodos':
+      return `Search todos for “${input.query ?? ''}”`;
+    case 'createTodo':
+      return 'Create a todo';
+    case 'completeTodo':
+      return 'Complete a todo';
+    case 'rescheduleTodo':
+      return input.dueAt ? 'Reschedule a todo' : "Clear a todo's due date";
+  }
+}
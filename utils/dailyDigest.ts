@@ -0,0 +1,63 @@
+import type { Schema } from "@/amplify/data/resource";
+import { compareTodoPositions } from "./todoOrder";
+import { getTodoStatus } from "./todoStatus";
+
+type Todo = Schema["Todo"]["type"];
+
+// Most open todos sent to planDay; the rest are left out to keep the prompt small
+export const MAX_DIGEST_OPEN_TODOS = 40;
+
+// Most overdue todos sent to planDay, the longest overdue first
+export const MAX_DIGEST_OVERDUE_TODOS = 40;
+
+// What planDay is told about a todo
+export type DigestTodo = Pick<Todo, 'id' | 'content' | 'status' | 'priority' | 'dueAt'>;
+
+export type DigestTodos = {
+  overdue: DigestTodo[];
+  open: DigestTodo[];
+  recentlyCompleted: DigestTodo[];
+};
+
+function toDigestTodo(todo: Todo): DigestTodo {
+  return {
+    id: todo.id,
+    content: todo.content,
+    status: getTodoStatus(todo),
+    priority: todo.priority ?? undefined,
+    dueAt: todo.dueAt ?? undefined,
+  };
+}
+
+/**
+ * Group todos for the day's plan: overdue ones, the other open ones (soonest
+ * due first, then in the user's order) and ones completed since the start of
+ * yesterday. Trashed todos are left out.
+ */
+export function getDigestTodos(todos: Todo[], now = new Date()): DigestTodos {
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const active = todos.filter(todo => !todo.deletedAt);
+  const open = active
+    .filter(todo => !todo.completed)
+    .sort((a, b) => {
+      if (a.dueAt && b.dueAt) return a.dueAt.localeCompare(b.dueAt);
+      if (a.dueAt || b.dueAt) return a.dueAt ? -1 : 1;
+      return compareTodoPositions(a, b);
+    });
+  const isOverdue = (todo: Todo) => !!todo.dueAt && new Date(todo.dueAt) < now;
+
+  return {
+    overdue: open.filter(isOverdue).slice(0, MAX_DIGEST_OVERDUE_TODOS).map(toDigestTodo),
+    open: open.filter(todo => !isOverdue(todo)).slice(0, MAX_DIGEST_OPEN_TODOS).map(toDigestTodo),
+    recentlyCompleted: active
+      .filter(todo => todo.completed && !!todo.updatedAt && new Date(todo.updatedAt) >= yesterday)
+      .map(toDigestTodo),
+  };
+}
+
+/**
+ * Effort in minutes as a short label, e.g. "45 min" or "1.5 h"
+ */
+export function formatEstimate(minutes: number) {
+  return minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 30) / 2} h`;
+}
@@ -0,0 +1,14 @@
+/**
+ * Whether the app is running on localhost, where it can work offline from
+ * data kept in localStorage. Always false during server rendering.
+ */
+export function getIsLocal() {
+  return typeof window !== 'undefined' && window.location.hostname === 'localhost';
+}
+
+/**
+ * localStorage, or null during server rendering
+ */
+export function getLocalStorage() {
+  return typeof window !== 'undefined' ? window.localStorage : null;
+}
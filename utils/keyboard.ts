@@ -0,0 +1,7 @@
+/**
+ * Check whether a key press is aimed at a text field, which keeps its own keys
+ */
+export function isTypingTarget(target: EventTarget | null) {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable;
+}
@@ -0,0 +1,36 @@
+// Default number of items requested per page from the GraphQL API
+export const DEFAULT_PAGE_SIZE = Number(process.env.NEXT_PUBLIC_TODO_PAGE_SIZE) || 100;
+
+type Page<T> = {
+  data: T[];
+  nextToken?: string | null;
+  errors?: { message: string }[] | null;
+};
+
+/**
+ * Fetch every page of a list query by following nextToken until it runs out.
+ * Throws the first error a page comes back with, rather than returning a
+ * partial list that looks like the backend's whole data.
+ *
+ * @example
+ * const todos = await listAllPages((nextToken) =>
+ *   client.models.Todo.list({ limit: DEFAULT_PAGE_SIZE, nextToken })
+ * );
+ */
+export async function listAllPages<T>(
+  fetchPage: (nextToken: string | null | undefined) => Promise<Page<T>>
+) {
+  const items: T[] = [];
+  let nextToken: string | null | undefined;
+
+  do {
+    const page = await fetchPage(nextToken);
+    if (page.errors?.length) {
+      throw new Error(page.errors[0].message);
+    }
+    items.push(...page.data);
+    nextToken = page.nextToken;
+  } while (nextToken);
+
+  return items;
+}
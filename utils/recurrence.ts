@@ -0,0 +1,205 @@
+/**
+ * Recurrence rules for todos, stored as a subset of iCalendar RRULE:
+ *
+ *   FREQ=DAILY;INTERVAL=2               every other day
+ *   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR    every weekday
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH  every two weeks on Monday and Thursday
+ *   FREQ=MONTHLY;BYMONTHDAY=15          the 15th of every month
+ *
+ * This module is shared by the app (local mode) and the completeTodo function.
+ * Occurrences are worked out on the calendar of the user's time zone, which the
+ * app passes to both, so "every Monday" stays on their Monday at the same time.
+ */
+
+export type RecurrenceFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY';
+
+export type Weekday = 'MO' | 'TU' | 'WE' | 'TH' | 'FR' | 'SA' | 'SU';
+
+export type RecurrenceRule = {
+  freq: RecurrenceFrequency;
+  interval: number;
+  // Weekly rules only; repeats on the weekday of the due date when empty
+  byDay: Weekday[];
+  // Monthly rules only; repeats on the day of the due date when missing
+  byMonthDay?: number;
+};
+
+// In the order of Date.getUTCDay()
+export const WEEKDAYS: Weekday[] = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const WEEKDAY_LABELS: Record<Weekday, string> = {
+  MO: 'Mon',
+  TU: 'Tue',
+  WE: 'Wed',
+  TH: 'Thu',
+  FR: 'Fri',
+  SA: 'Sat',
+  SU: 'Sun',
+};
+
+const WORKWEEK: Weekday[] = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a stored rule, returning null for empty or unsupported rules
+ */
+export function parseRecurrence(value: string | null | undefined): RecurrenceRule | null {
+  if (!value) return null;
+
+  const parts = Object.fromEntries(
+    value.split(';').map(part => part.split('=') as [string, string])
+  );
+  const freq = parts.FREQ as RecurrenceFrequency;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) return null;
+
+  const byMonthDay = Number(parts.BYMONTHDAY);
+  return {
+    freq,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    byDay: (parts.BYDAY?.split(',') ?? []).filter((day): day is Weekday => WEEKDAYS.includes(day as Weekday)),
+    byMonthDay: byMonthDay >= 1 && byMonthDay <= 31 ? byMonthDay : undefined,
+  };
+}
+
+/**
+ * Turn a rule back into its stored form
+ */
+export function formatRecurrence(rule: RecurrenceRule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  return parts.join(';');
+}
+
+/**
+ * Check whether a weekly rule is "every weekday"
+ */
+export function isWeekdayRule(rule: RecurrenceRule) {
+  return rule.freq === 'WEEKLY'
+    && rule.interval === 1
+    && rule.byDay.length === WORKWEEK.length
+    && WORKWEEK.every(day => rule.byDay.includes(day));
+}
+
+export const WEEKDAY_RULE: RecurrenceRule = { freq: 'WEEKLY', interval: 1, byDay: WORKWEEK };
+
+/**
+ * Describe a rule for display, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export function describeRecurrence(rule: RecurrenceRule) {
+  if (isWeekdayRule(rule)) return 'Every weekday';
+
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  const every = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const days = WEEKDAYS.filter(day => rule.byDay.includes(day)).map(day => WEEKDAY_LABELS[day]);
+    return `${every} on ${days.join(', ')}`;
+  }
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay) {
+    return `${every} on day ${rule.byMonthDay}`;
+  }
+  return every;
+}
+
+function daysInMonth(year: number, month: number) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The wall-clock time in a time zone, as a Date whose UTC fields hold it;
+// throws a RangeError for an unknown time zone
+function toWallClock(date: Date, timeZone: string) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  return new Date(Date.UTC(
+    parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()
+  ));
+}
+
+// The moment a wall-clock time from toWallClock happens in a time zone. The
+// offset is checked again at the result in case a DST change falls in between.
+function fromWallClock(wallClock: Date, timeZone: string) {
+  const offsetAt = (time: number) => toWallClock(new Date(time), timeZone).getTime() - time;
+  const guess = wallClock.getTime() - offsetAt(wallClock.getTime());
+  return new Date(wallClock.getTime() - offsetAt(guess));
+}
+
+// getNextOccurrence on wall-clock times, so the UTC fields are the local ones
+function getNextWallClockOccurrence(rule: RecurrenceRule, from: Date): Date {
+  if (rule.freq === 'DAILY') {
+    return new Date(from.getTime() + rule.interval * DAY_MS);
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const day = rule.byMonthDay ?? from.getUTCDate();
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth() + rule.interval;
+    // Months too short for the day fall back to their last day
+    const next = new Date(from);
+    next.setUTCDate(1);
+    next.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+    return next;
+  }
+
+  if (rule.byDay.length === 0) {
+    return new Date(from.getTime() + rule.interval * 7 * DAY_MS);
+  }
+
+  // Step through the following days, only counting weeks that are `interval` apart
+  const weekStart = from.getTime() - from.getUTCDay() * DAY_MS;
+  for (let offset = 1; offset <= 7 * rule.interval; offset++) {
+    const candidate = new Date(from.getTime() + offset * DAY_MS);
+    const week = Math.floor((candidate.getTime() - weekStart) / (7 * DAY_MS));
+    if (week % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()])) {
+      return candidate;
+    }
+  }
+  return new Date(from.getTime() + rule.interval * 7 * DAY_MS);
+}
+
+/**
+ * Work out the first occurrence of a rule after `from`, keeping its local time
+ * of day in `timeZone` (an IANA name, e.g. Europe/London)
+ */
+export function getNextOccurrence(rule: RecurrenceRule, from: Date, timeZone = 'UTC'): Date {
+  return fromWallClock(getNextWallClockOccurrence(rule, toWallClock(from, timeZone)), timeZone);
+}
+
+/**
+ * Schedule for the todo that follows a completed recurring one. The next
+ * occurrence counts on from the due date (or `now` if there is none) and skips
+ * ahead past `now`, so finishing late doesn't leave a trail of overdue copies.
+ * A reminder keeps the same lead time before the due date. Days are counted
+ * in `timeZone`.
+ */
+export function getNextSchedule(
+  todo: { dueAt?: string | null; remindAt?: string | null; recurrence?: string | null },
+  now = new Date(),
+  timeZone = 'UTC'
+) {
+  const rule = parseRecurrence(todo.recurrence);
+  if (!rule) return null;
+
+  const base = todo.dueAt ? new Date(todo.dueAt) : now;
+  let next = getNextOccurrence(rule, base, timeZone);
+  while (next <= now) {
+    next = getNextOccurrence(rule, next, timeZone);
+  }
+
+  const remindAt = todo.remindAt
+    ? new Date(next.getTime() - (base.getTime() - new Date(todo.remindAt).getTime())).toISOString()
+    : null;
+  return { dueAt: next.toISOString(), remindAt };
+}
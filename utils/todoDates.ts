@@ -0,0 +1,103 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+
+export type TodoPriority = NonNullable<Todo["priority"]>;
+
+export const TODO_PRIORITIES: TodoPriority[] = ['low', 'medium', 'high', 'urgent'];
+
+export type DueGroup = 'overdue' | 'today' | 'upcoming' | 'earlier' | 'none';
+
+export const DUE_GROUP_LABELS: Record<DueGroup, string> = {
+  overdue: 'Overdue',
+  today: 'Today',
+  upcoming: 'Upcoming',
+  earlier: 'Done earlier',
+  none: 'No due date',
+};
+
+// Order in which the groups are rendered
+export const DUE_GROUP_ORDER: DueGroup[] = ['overdue', 'today', 'upcoming', 'none', 'earlier'];
+
+function startOfDay(date: Date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Work out which due-date group a todo belongs to, relative to `now`
+ */
+export function getDueGroup(todo: Pick<Todo, 'dueAt' | 'completed'>, now = new Date()): DueGroup {
+  if (!todo.dueAt) return 'none';
+
+  const due = new Date(todo.dueAt);
+  const todayStart = startOfDay(now);
+  const tomorrowStart = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() + 1);
+
+  if (due < todayStart) {
+    return todo.completed ? 'earlier' : 'overdue';
+  }
+  if (due < tomorrowStart) {
+    return 'today';
+  }
+  return 'upcoming';
+}
+
+/**
+ * Split todos into due-date groups, keeping the order of the input within each group
+ */
+export function groupTodosByDue<T extends Pick<Todo, 'dueAt' | 'completed'>>(todos: T[], now = new Date()) {
+  const groups: Record<DueGroup, T[]> = {
+    overdue: [],
+    today: [],
+    upcoming: [],
+    earlier: [],
+    none: [],
+  };
+
+  todos.forEach(todo => {
+    groups[getDueGroup(todo, now)].push(todo);
+  });
+
+  return groups;
+}
+
+/**
+ * Convert an ISO timestamp to the value format of a datetime-local input
+ */
+export function toDateTimeInputValue(iso: string | null | undefined) {
+  if (!iso) return '';
+
+  const date = new Date(iso);
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Convert a datetime-local input value (local time) to an ISO timestamp
+ */
+export function fromDateTimeInputValue(value: string) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Format a due date for display in the list
+ */
+export function formatDueAt(iso: string) {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * The changes that move a todo to a new due date, or take it away. A reminder
+ * keeps the same lead time before the new due date.
+ */
+export function getRescheduleChanges(todo: Pick<Todo, 'dueAt' | 'remindAt'>, dueAt: string | null) {
+  const remindAt = todo.remindAt && todo.dueAt && dueAt
+    ? new Date(new Date(todo.remindAt).getTime() + new Date(dueAt).getTime() - new Date(todo.dueAt).getTime()).toISOString()
+    : todo.remindAt ?? null;
+  return { dueAt, remindAt };
+}
@@ -0,0 +1,50 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+
+// Fields of a todo that can be edited, undone and redone
+export type TodoChanges = Partial<Pick<Todo, 'content' | 'completed' | 'dueAt' | 'priority' | 'remindAt' | 'position' | 'projectId' | 'deletedAt' | 'recurrence' | 'status' | 'notes'>>;
+
+// How many changes can be undone
+export const HISTORY_LIMIT = 50;
+
+// One todo's fields before and after a change
+export type TodoChangeRecord = {
+  todoId: string;
+  before: TodoChanges;
+  after: TodoChanges;
+};
+
+// A user action that can be undone and redone as a unit
+export type HistoryEntry = {
+  label: string;
+  changes: TodoChangeRecord[];
+};
+
+/**
+ * Record the change to a todo, reading the previous values of the changed fields from it
+ */
+export function recordChange(todo: Todo, after: TodoChanges): TodoChangeRecord {
+  const before: TodoChanges = {};
+  (Object.keys(after) as (keyof TodoChanges)[]).forEach(field => {
+    (before as Record<string, unknown>)[field] = todo[field] ?? null;
+  });
+  return { todoId: todo.id, before, after };
+}
+
+/**
+ * Add an entry to a history stack, dropping the oldest beyond the limit
+ */
+export function pushHistory(stack: HistoryEntry[], entry: HistoryEntry) {
+  return [...stack, entry].slice(-HISTORY_LIMIT);
+}
+
+/**
+ * Point history entries at new todo ids, e.g. once queued creates reach the backend
+ */
+export function remapHistoryIds(stack: HistoryEntry[], idMap: Record<string, string>) {
+  return stack.map(entry => ({
+    ...entry,
+    changes: entry.changes.map(change => ({ ...change, todoId: idMap[change.todoId] ?? change.todoId })),
+  }));
+}
@@ -0,0 +1,72 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+
+type Positioned = Pick<Todo, 'id' | 'position' | 'createdAt'>;
+
+// Gap left between todos when positions are assigned from scratch
+export const POSITION_STEP = 1024;
+
+function hasPosition(todo: Positioned | undefined): todo is Positioned & { position: number } {
+  return typeof todo?.position === 'number';
+}
+
+/**
+ * Compare todos by hand order. Todos created before ordering existed have no
+ * position and go after the rest, newest first.
+ */
+export function compareTodoPositions(a: Positioned, b: Positioned) {
+  if (hasPosition(a) && hasPosition(b)) return a.position - b.position;
+  if (hasPosition(a)) return -1;
+  if (hasPosition(b)) return 1;
+  return (b.createdAt ?? '').localeCompare(a.createdAt ?? '');
+}
+
+/**
+ * Position that puts a new todo at the top of the list
+ */
+export function getTopPosition(todos: Positioned[]) {
+  const positions = todos.filter(hasPosition).map(todo => todo.position);
+  return positions.length > 0 ? Math.min(...positions) - POSITION_STEP : 0;
+}
+
+/**
+ * Work out the positions needed to move the todo at `fromIndex` of an ordered
+ * list to `toIndex`, keyed by todo id and leaving out todos that stay put.
+ *
+ * Normally only the moved todo changes, taking the midpoint of its new
+ * neighbours. If a neighbour has no position yet, or repeated moves have used
+ * up the gap between them, the whole list is renumbered.
+ */
+export function getMovePositions(todos: Positioned[], fromIndex: number, toIndex: number): Record<string, number> {
+  const reordered = [...todos];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+
+  const before = reordered[toIndex - 1];
+  const after = reordered[toIndex + 1];
+
+  if ((!before || hasPosition(before)) && (!after || hasPosition(after))) {
+    let position = 0;
+    if (before && after) {
+      position = (before.position! + after.position!) / 2;
+    } else if (before) {
+      position = before.position! + POSITION_STEP;
+    } else if (after) {
+      position = after.position! - POSITION_STEP;
+    }
+
+    if (position !== before?.position && position !== after?.position) {
+      return { [moved.id]: position };
+    }
+  }
+
+  const positions: Record<string, number> = {};
+  reordered.forEach((todo, index) => {
+    const position = index * POSITION_STEP;
+    if (todo.position !== position) {
+      positions[todo.id] = position;
+    }
+  });
+  return positions;
+}
@@ -0,0 +1,248 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+type Subtask = Schema["Subtask"]["type"];
+type Project = Schema["Project"]["type"];
+
+// Fields of a todo that can be written through the outbox
+export type OutboxTodoFields = Partial<Pick<Todo,
+  'content' | 'completed' | 'status' | 'dueAt' | 'priority' | 'remindAt' | 'position' | 'projectId' | 'deletedAt' | 'recurrence' | 'notes' | 'createdAt' | 'updatedAt'
+>>;
+
+// Fields of a subtask that can be written through the outbox
+export type OutboxSubtaskFields = Partial<Pick<Subtask, 'title' | 'completed' | 'position' | 'createdAt' | 'updatedAt'>>;
+
+// Fields of a project (list) that can be written through the outbox
+export type OutboxProjectFields = Partial<Pick<Project, 'name' | 'createdAt' | 'updatedAt'>>;
+
+type OutboxEntryBase = {
+  id: string;
+  // The todo changed, or the one the subtask or tag link belongs to
+  todoId: string;
+  queuedAt: string;
+  error?: string;
+};
+
+// A subtask or tag link change; its id stays local until its create is replayed
+type OutboxChildEntryBase = OutboxEntryBase & { recordId: string };
+
+// A project change; its id stays local until its create is replayed
+type OutboxProjectEntryBase = Omit<OutboxEntryBase, 'todoId'> & { projectId: string };
+
+export type OutboxEntry =
+  // Todo changes; entries queued by older versions have no model
+  | (OutboxEntryBase & { model?: 'Todo'; type: 'create'; fields: OutboxTodoFields & { content: string } })
+  | (OutboxEntryBase & { model?: 'Todo'; type: 'update'; fields: OutboxTodoFields })
+  | (OutboxEntryBase & { model?: 'Todo'; type: 'delete' })
+  | (OutboxChildEntryBase & { model: 'Subtask'; type: 'create'; fields: OutboxSubtaskFields & { title: string; position: number } })
+  | (OutboxChildEntryBase & { model: 'Subtask'; type: 'update'; fields: OutboxSubtaskFields })
+  | (OutboxChildEntryBase & { model: 'Subtask'; type: 'delete' })
+  // A link names its tag, which may only exist locally until the link is replayed
+  | (OutboxChildEntryBase & { model: 'TodoTag'; type: 'create'; tagName: string })
+  | (OutboxChildEntryBase & { model: 'TodoTag'; type: 'delete' })
+  | (OutboxProjectEntryBase & { model: 'Project'; type: 'create'; fields: OutboxProjectFields & { name: string } })
+  | (OutboxProjectEntryBase & { model: 'Project'; type: 'update'; fields: OutboxProjectFields })
+  // Moves the project's todos out of it before deleting it
+  | (OutboxProjectEntryBase & { model: 'Project'; type: 'delete' });
+
+// Distributes Omit over the union so each entry type keeps its own fields
+type DistributiveOmit<T, K extends keyof any> = T extends unknown ? Omit<T, K> : never;
+
+export type NewOutboxEntry = DistributiveOmit<OutboxEntry, 'id' | 'queuedAt' | 'error'>;
+
+// The backend operations an outbox is replayed against. Updates and deletes are
+// only allowed for the records' owner, so they must go as the signed-in user.
+export type OutboxTarget = {
+  create: (fields: OutboxTodoFields & { content: string }) => Promise<{ id: string } | null>;
+  update: (id: string, fields: OutboxTodoFields) => Promise<unknown>;
+  delete: (id: string) => Promise<unknown>;
+  createSubtask: (fields: OutboxSubtaskFields & { title: string; position: number; todoId: string }) => Promise<{ id: string } | null>;
+  updateSubtask: (id: string, fields: OutboxSubtaskFields) => Promise<unknown>;
+  deleteSubtask: (id: string) => Promise<unknown>;
+  createTodoTag: (todoId: string, tagName: string) => Promise<{ id: string } | null>;
+  deleteTodoTag: (id: string) => Promise<unknown>;
+  createProject: (fields: OutboxProjectFields & { name: string }) => Promise<{ id: string } | null>;
+  updateProject: (id: string, fields: OutboxProjectFields) => Promise<unknown>;
+  deleteProject: (id: string) => Promise<unknown>;
+};
+
+export type ReplayResult = {
+  // Entries that failed or were held back behind a failure, in their original order
+  remaining: OutboxEntry[];
+  // Locally generated todo ids mapped to the ids the backend assigned
+  idMap: Record<string, string>;
+  // The same for subtasks and tag links
+  recordIdMap: Record<string, string>;
+  // The same for projects
+  projectIdMap: Record<string, string>;
+};
+
+// Where the local copy of the todos is kept while developing offline
+export const LOCAL_TODOS_STORAGE_KEY = 'localTodos';
+
+export const OUTBOX_STORAGE_KEY = 'todoOutbox';
+
+/**
+ * Create an outbox entry for a mutation made while disconnected
+ */
+export function createOutboxEntry(entry: NewOutboxEntry): OutboxEntry {
+  return {
+    ...entry,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    queuedAt: new Date().toISOString(),
+  } as OutboxEntry;
+}
+
+/**
+ * Update a todo in the stored local copy and queue the change, for pages that
+ * edit local todos without the list mounted. Returns the updated local todos.
+ */
+export function updateStoredTodo(storage: Storage, todoId: string, fields: OutboxTodoFields): Todo[] {
+  const todos: Todo[] = JSON.parse(storage.getItem(LOCAL_TODOS_STORAGE_KEY) ?? '[]');
+  const updatedTodos = todos.map(todo => todo.id === todoId ? { ...todo, ...fields } : todo);
+  storage.setItem(LOCAL_TODOS_STORAGE_KEY, JSON.stringify(updatedTodos));
+
+  const outbox: OutboxEntry[] = JSON.parse(storage.getItem(OUTBOX_STORAGE_KEY) ?? '[]');
+  outbox.push(createOutboxEntry({ type: 'update', todoId, fields }));
+  storage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+  return updatedTodos;
+}
+
+// The id a failure holds later entries back by: the record's own, so a failed
+// subtask change doesn't hold back its todo's
+function getBlockingId(entry: OutboxEntry) {
+  if (entry.model === 'Project') return entry.projectId;
+  return entry.model === 'Subtask' || entry.model === 'TodoTag' ? entry.recordId : entry.todoId;
+}
+
+// Whether a failure holds an entry back; a todo's failure also holds back its
+// subtasks and tag links, and a project's holds back todos being put in it
+function isBlocked(entry: OutboxEntry, blockedIds: Set<string>) {
+  if (entry.model === 'Project') return blockedIds.has(entry.projectId);
+  const projectId = entry.model !== 'Subtask' && entry.model !== 'TodoTag' && entry.type !== 'delete' ? entry.fields.projectId : null;
+  return blockedIds.has(entry.todoId) || blockedIds.has(getBlockingId(entry)) || (!!projectId && blockedIds.has(projectId));
+}
+
+// Point a todo change at the project's backend id if its create went through
+function remapProjectId<T extends { fields: OutboxTodoFields }>(entry: T, projectIdMap: Record<string, string>): T {
+  const { projectId } = entry.fields;
+  return projectId && projectIdMap[projectId]
+    ? { ...entry, fields: { ...entry.fields, projectId: projectIdMap[projectId] } }
+    : entry;
+}
+
+/**
+ * Check whether replaying would attempt anything, i.e. some entry has not
+ * failed and is not queued behind a failed entry for the same record
+ */
+export function hasReplayableEntries(entries: OutboxEntry[]) {
+  const blockedIds = new Set<string>();
+
+  return entries.some(entry => {
+    if (entry.error) {
+      blockedIds.add(getBlockingId(entry));
+      return false;
+    }
+    return !isBlocked(entry, blockedIds);
+  });
+}
+
+/**
+ * Replay queued mutations in order against the backend.
+ *
+ * A failed entry is kept with its error message, and any later entries for
+ * the same record are held back so they are never applied out of order; a
+ * failed todo entry also holds back its subtasks and tag links, and a failed
+ * project entry the todos put in that project. Entries that already carry an
+ * error are not retried until it is cleared.
+ */
+export async function replayOutbox(entries: OutboxEntry[], target: OutboxTarget): Promise<ReplayResult> {
+  const remaining: OutboxEntry[] = [];
+  const idMap: Record<string, string> = {};
+  const recordIdMap: Record<string, string> = {};
+  const projectIdMap: Record<string, string> = {};
+  const blockedIds = new Set<string>();
+
+  for (const entry of entries) {
+    if (entry.error || isBlocked(entry, blockedIds)) {
+      blockedIds.add(getBlockingId(entry));
+      remaining.push(entry);
+      continue;
+    }
+
+    try {
+      if (entry.model === 'Project') {
+        const projectId = projectIdMap[entry.projectId] ?? entry.projectId;
+        if (entry.type === 'create') {
+          const created = await target.createProject(entry.fields);
+          if (!created) {
+            throw new Error('The backend did not return the created list');
+          }
+          projectIdMap[entry.projectId] = created.id;
+        } else if (entry.type === 'update') {
+          await target.updateProject(projectId, entry.fields);
+        } else {
+          await target.deleteProject(projectId);
+        }
+        continue;
+      }
+
+      const todoId = idMap[entry.todoId] ?? entry.todoId;
+      if (entry.model === 'Subtask') {
+        const subtaskId = recordIdMap[entry.recordId] ?? entry.recordId;
+        if (entry.type === 'create') {
+          const created = await target.createSubtask({ ...entry.fields, todoId });
+          if (!created) {
+            throw new Error('The backend did not return the created subtask');
+          }
+          recordIdMap[entry.recordId] = created.id;
+        } else if (entry.type === 'update') {
+          await target.updateSubtask(subtaskId, entry.fields);
+        } else {
+          await target.deleteSubtask(subtaskId);
+        }
+      } else if (entry.model === 'TodoTag') {
+        if (entry.type === 'create') {
+          const created = await target.createTodoTag(todoId, entry.tagName);
+          if (!created) {
+            throw new Error('The backend did not return the created tag link');
+          }
+          recordIdMap[entry.recordId] = created.id;
+        } else {
+          await target.deleteTodoTag(recordIdMap[entry.recordId] ?? entry.recordId);
+        }
+      } else if (entry.type === 'create') {
+        const created = await target.create(remapProjectId(entry, projectIdMap).fields);
+        if (!created) {
+          throw new Error('The backend did not return the created todo');
+        }
+        idMap[entry.todoId] = created.id;
+      } else if (entry.type === 'update') {
+        await target.update(todoId, remapProjectId(entry, projectIdMap).fields);
+      } else {
+        await target.delete(todoId);
+      }
+    } catch (err) {
+      blockedIds.add(getBlockingId(entry));
+      remaining.push({ ...entry, error: err instanceof Error ? err.message : String(err) });
+    }
+  }
+
+  // Held-back entries must refer to the backend ids if their creates went through
+  return {
+    remaining: remaining.map(entry => {
+      if (entry.model === 'Project') {
+        return { ...entry, projectId: projectIdMap[entry.projectId] ?? entry.projectId };
+      }
+      const remapped = { ...entry, todoId: idMap[entry.todoId] ?? entry.todoId };
+      if (remapped.model === 'Subtask' || remapped.model === 'TodoTag') {
+        remapped.recordId = recordIdMap[remapped.recordId] ?? remapped.recordId;
+        return remapped;
+      }
+      return remapped.type === 'delete' ? remapped : remapProjectId(remapped, projectIdMap);
+    }),
+    idMap,
+    recordIdMap,
+    projectIdMap,
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Productivity statistics over a user's todos. The todoStats function runs
+ * this over the whole table so the dashboard only downloads the totals; the
+ * dashboard runs it over the local copy when working offline.
+ *
+ * Days are counted in the caller's time zone. A completed todo's `updatedAt`
+ * stands in for when it was completed.
+ */
+
+// The fields the statistics read
+export type StatsTodo = {
+  createdAt?: string | null;
+  updatedAt?: string | null;
+  completed?: boolean | null;
+  dueAt?: string | null;
+  deletedAt?: string | null;
+};
+
+// Todos created and completed in one day or week, keyed by its first day (YYYY-MM-DD)
+export type TodoActivity = {
+  date: string;
+  created: number;
+  completed: number;
+};
+
+export type TodoStatsResult = {
+  days: TodoActivity[];
+  weeks: TodoActivity[];
+  averageHoursToComplete: number | null;
+  currentStreak: number;
+  longestStreak: number;
+  overdueCount: number;
+  openCount: number;
+  completedCount: number;
+};
+
+export const DEFAULT_STATS_DAYS = 30;
+
+// Longest period that can be asked for
+export const MAX_STATS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function addDays(dayKey: string, days: number) {
+  return new Date(new Date(`${dayKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday
+function getWeekStart(dayKey: string) {
+  const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+  return addDays(dayKey, -((weekday + 6) % 7));
+}
+
+/**
+ * Length of the run of consecutive days ending at `lastDay`
+ */
+function countStreak(days: Set<string>, lastDay: string) {
+  let streak = 0;
+  while (days.has(addDays(lastDay, -streak))) {
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Work out the statistics for the `days` days up to and including today.
+ * Streaks count days with at least one completion; one that has reached
+ * yesterday is still current until today is over. Trashed todos are left out.
+ */
+export function computeTodoStats(
+  todos: StatsTodo[],
+  { days = DEFAULT_STATS_DAYS, timeZone = 'UTC', now = new Date() }: { days?: number; timeZone?: string; now?: Date } = {}
+): TodoStatsResult {
+  // en-CA formats dates as YYYY-MM-DD; throws a RangeError for an unknown time zone
+  const formatter = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const toDay = (iso: string) => formatter.format(new Date(iso));
+
+  const today = toDay(now.toISOString());
+  const dayKeys = Array.from({ length: days }, (_, i) => addDays(today, i - days + 1));
+  const activity: Record<string, TodoActivity> = Object.fromEntries(
+    dayKeys.map(date => [date, { date, created: 0, completed: 0 }])
+  );
+
+  const completionDays = new Set<string>();
+  let totalHoursToComplete = 0;
+  let timedCompletions = 0;
+  let overdueCount = 0;
+  let openCount = 0;
+  let completedCount = 0;
+
+  todos.filter(todo => !todo.deletedAt).forEach(todo => {
+    if (todo.createdAt) {
+      const created = activity[toDay(todo.createdAt)];
+      if (created) created.created++;
+    }
+
+    if (!todo.completed) {
+      openCount++;
+      if (todo.dueAt && new Date(todo.dueAt) < now) overdueCount++;
+      return;
+    }
+
+    completedCount++;
+    if (!todo.updatedAt) return;
+    const completedDay = toDay(todo.updatedAt);
+    completionDays.add(completedDay);
+    if (activity[completedDay]) activity[completedDay].completed++;
+    if (todo.createdAt) {
+      totalHoursToComplete += Math.max(0, new Date(todo.updatedAt).getTime() - new Date(todo.createdAt).getTime()) / HOUR_MS;
+      timedCompletions++;
+    }
+  });
+
+  const weeks: Record<string, TodoActivity> = {};
+  dayKeys.forEach(date => {
+    const weekStart = getWeekStart(date);
+    const week = weeks[weekStart] ??= { date: weekStart, created: 0, completed: 0 };
+    week.created += activity[date].created;
+    week.completed += activity[date].completed;
+  });
+
+  const sortedCompletionDays = Array.from(completionDays).sort();
+  const longestStreak = sortedCompletionDays.reduce(
+    (longest, day) => completionDays.has(addDays(day, 1)) ? longest : Math.max(longest, countStreak(completionDays, day)),
+    0
+  );
+
+  return {
+    days: dayKeys.map(date => activity[date]),
+    weeks: Object.values(weeks),
+    averageHoursToComplete: timedCompletions > 0 ? totalHoursToComplete / timedCompletions : null,
+    currentStreak: countStreak(completionDays, completionDays.has(today) ? today : addDays(today, -1)),
+    longestStreak,
+    overdueCount,
+    openCount,
+    completedCount,
+  };
+}
@@ -0,0 +1,49 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+
+export type TodoStatus = NonNullable<Todo["status"]>;
+
+// Board columns, left to right
+export const TODO_STATUSES: TodoStatus[] = ['backlog', 'todo', 'in_progress', 'blocked', 'done'];
+
+export const TODO_STATUS_LABELS: Record<TodoStatus, string> = {
+  backlog: 'Backlog',
+  todo: 'To do',
+  in_progress: 'In progress',
+  blocked: 'Blocked',
+  done: 'Done',
+};
+
+// Most todos a board column should hold; columns without one are unlimited
+export type WipLimits = Partial<Record<TodoStatus, number>>;
+
+/**
+ * Work out a todo's status. Todos from before statuses existed only have
+ * `completed`, so they sit in To do or Done.
+ */
+export function getTodoStatus(todo: Pick<Todo, 'status' | 'completed'>): TodoStatus {
+  return todo.status ?? (todo.completed ? 'done' : 'todo');
+}
+
+/**
+ * Changes that move a todo to a status, keeping `completed` in step
+ */
+export function getStatusChanges(status: TodoStatus) {
+  return { status, completed: status === 'done' };
+}
+
+/**
+ * Changes that complete or reopen a todo, keeping its status in step
+ */
+export function getCompletionChanges(completed: boolean) {
+  return getStatusChanges(completed ? 'done' : 'todo');
+}
+
+/**
+ * Check whether a column can take another todo without going over its limit
+ */
+export function hasWipRoom(limits: WipLimits, status: TodoStatus, count: number) {
+  const limit = limits[status];
+  return limit === undefined || count < limit;
+}
@@ -0,0 +1,99 @@
+import type { Schema } from "@/amplify/data/resource";
+import { TODO_PRIORITIES, TodoPriority } from "./todoDates";
+import { compareTodoPositions } from "./todoOrder";
+
+type Todo = Schema["Todo"]["type"];
+
+export type TodoStatusFilter = 'all' | 'active' | 'completed';
+
+export type TodoSort = 'manual' | 'created' | 'updated' | 'alphabetical';
+
+export const TODO_STATUS_FILTERS: TodoStatusFilter[] = ['all', 'active', 'completed'];
+
+export const TODO_SORT_LABELS: Record<TodoSort, string> = {
+  manual: 'Manual order',
+  created: 'Newest first',
+  updated: 'Recently updated',
+  alphabetical: 'A to Z',
+};
+
+// Search, filter and sort settings for the list, mirrored in the URL query string
+export type TodoView = {
+  query: string;
+  status: TodoStatusFilter;
+  priority: TodoPriority | '';
+  tagIds: string[];
+  sort: TodoSort;
+};
+
+export const DEFAULT_TODO_VIEW: TodoView = {
+  query: '',
+  status: 'all',
+  priority: '',
+  tagIds: [],
+  sort: 'manual',
+};
+
+/**
+ * Read the list view from URL query parameters, ignoring values that aren't recognised
+ */
+export function parseTodoView(params: Pick<URLSearchParams, 'get'>): TodoView {
+  const status = params.get('status') as TodoStatusFilter | null;
+  const priority = params.get('priority') as TodoPriority | null;
+  const sort = params.get('sort') as TodoSort | null;
+
+  return {
+    query: params.get('q') ?? DEFAULT_TODO_VIEW.query,
+    status: status && TODO_STATUS_FILTERS.includes(status) ? status : DEFAULT_TODO_VIEW.status,
+    priority: priority && TODO_PRIORITIES.includes(priority) ? priority : DEFAULT_TODO_VIEW.priority,
+    tagIds: params.get('tags')?.split(',').filter(Boolean) ?? DEFAULT_TODO_VIEW.tagIds,
+    sort: sort && sort in TODO_SORT_LABELS ? sort : DEFAULT_TODO_VIEW.sort,
+  };
+}
+
+/**
+ * Write the list view as URL query parameters, leaving out anything at its default
+ */
+export function toTodoViewParams(view: TodoView) {
+  const params = new URLSearchParams();
+
+  if (view.query) params.set('q', view.query);
+  if (view.status !== DEFAULT_TODO_VIEW.status) params.set('status', view.status);
+  if (view.priority) params.set('priority', view.priority);
+  if (view.tagIds.length > 0) params.set('tags', view.tagIds.join(','));
+  if (view.sort !== DEFAULT_TODO_VIEW.sort) params.set('sort', view.sort);
+
+  return params;
+}
+
+/**
+ * Check whether a todo passes the search text, status and priority filters
+ */
+export function matchesTodoView(todo: Pick<Todo, 'content' | 'completed' | 'priority'>, view: TodoView) {
+  const query = view.query.trim().toLowerCase();
+
+  if (query && !todo.content.toLowerCase().includes(query)) return false;
+  if (view.status === 'active' && todo.completed) return false;
+  if (view.status === 'completed' && !todo.completed) return false;
+  if (view.priority && todo.priority !== view.priority) return false;
+  return true;
+}
+
+/**
+ * Sort todos without mutating the input
+ */
+export function sortTodos<T extends Pick<Todo, 'id' | 'content' | 'position' | 'createdAt' | 'updatedAt'>>(todos: T[], sort: TodoSort) {
+  const sorted = [...todos];
+
+  if (sort === 'manual') {
+    return sorted.sort(compareTodoPositions);
+  }
+
+  if (sort === 'alphabetical') {
+    return sorted.sort((a, b) => a.content.localeCompare(b.content));
+  }
+
+  const field = sort === 'created' ? 'createdAt' : 'updatedAt';
+  // ISO timestamps compare correctly as strings
+  return sorted.sort((a, b) => (b[field] ?? '').localeCompare(a[field] ?? ''));
+}
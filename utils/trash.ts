@@ -0,0 +1,23 @@
+import type { Schema } from "@/amplify/data/resource";
+
+type Todo = Schema["Todo"]["type"];
+
+// Days a deleted todo stays in the trash before it's purged for good
+export const TRASH_RETENTION_DAYS = Number(process.env.NEXT_PUBLIC_TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out when a todo in the trash will be purged
+ */
+export function getPurgeDate(todo: Pick<Todo, 'deletedAt'>) {
+  return todo.deletedAt ? new Date(new Date(todo.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+}
+
+/**
+ * Check whether a todo has been in the trash longer than the retention period
+ */
+export function isTrashExpired(todo: Pick<Todo, 'deletedAt'>, now = new Date()) {
+  const purgeDate = getPurgeDate(todo);
+  return purgeDate !== null && purgeDate <= now;
+}